@@ -0,0 +1,429 @@
+/**
+ * Archive Extractor
+ * Unpacks ZIP (stored / deflate entries) and gzip files in the browser,
+ * with DecompressionStream where available and a JavaScript inflate otherwise
+ */
+
+var ArchiveExtractor = (function() {
+    'use strict';
+
+    var ZIP_LOCAL_HEADER = 0x04034b50;
+    var ZIP_CENTRAL_HEADER = 0x02014b50;
+    var ZIP_END_OF_DIRECTORY = 0x06054b50;
+
+    // Deflate length and distance codes: base values and extra bits (RFC 1951)
+    var LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+                       35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+    var LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+                        3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+    var DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+                         257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+    var DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+                          7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+    // Order of the code length code lengths in a dynamic block header
+    var CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+    var fixedTables = null;
+    var crcTable = null;
+
+    /**
+     * Get the archive type from the magic bytes
+     * @returns {string|null} 'zip', 'gzip' or null
+     */
+    function getType(bytes) {
+        if (bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4B &&
+            ((bytes[2] === 0x03 && bytes[3] === 0x04) || (bytes[2] === 0x05 && bytes[3] === 0x06))) {
+            return 'zip';
+        }
+        if (bytes.length >= 3 && bytes[0] === 0x1F && bytes[1] === 0x8B && bytes[2] === 8) {
+            return 'gzip';
+        }
+        return null;
+    }
+
+    /**
+     * Extract the files of an archive
+     * @param {Uint8Array} bytes - Archive content
+     * @param {string} [name] - Archive file name, names the content of a gzip file without one
+     * @returns {Promise<Array>} Files: { name, bytes }; the input itself when it is no archive
+     */
+    async function extract(bytes, name) {
+        switch (getType(bytes)) {
+            case 'zip':
+                return await unzip(bytes);
+            case 'gzip':
+                return [await gunzip(bytes, name)];
+            default:
+                return [{ name: name || '', bytes: bytes }];
+        }
+    }
+
+    function readUint16(bytes, offset) {
+        return bytes[offset] | (bytes[offset + 1] << 8);
+    }
+
+    function readUint32(bytes, offset) {
+        return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+    }
+
+    /**
+     * Extract a ZIP archive, reading entries from its central directory
+     * Folders, encrypted entries and macOS resource forks are skipped.
+     */
+    async function unzip(bytes) {
+        var end = -1;
+        for (var i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557) && end === -1; i--) {
+            if (readUint32(bytes, i) === ZIP_END_OF_DIRECTORY) {
+                end = i;
+            }
+        }
+        if (end === -1) {
+            throw new Error('Invalid ZIP archive');
+        }
+
+        var count = readUint16(bytes, end + 10);
+        var offset = readUint32(bytes, end + 16);
+        var files = [];
+
+        for (var entry = 0; entry < count; entry++) {
+            if (readUint32(bytes, offset) !== ZIP_CENTRAL_HEADER) {
+                throw new Error('Invalid ZIP directory');
+            }
+
+            var flags = readUint16(bytes, offset + 8);
+            var method = readUint16(bytes, offset + 10);
+            var crc = readUint32(bytes, offset + 16);
+            var compressedSize = readUint32(bytes, offset + 20);
+            var nameLength = readUint16(bytes, offset + 28);
+            var extraLength = readUint16(bytes, offset + 30);
+            var commentLength = readUint16(bytes, offset + 32);
+            var localOffset = readUint32(bytes, offset + 42);
+            var name = decodeName(bytes.subarray(offset + 46, offset + 46 + nameLength), (flags & 0x800) !== 0);
+
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (/\/$/.test(name) || /(^|\/)__MACOSX\//.test(name) || (flags & 1)) {
+                continue;
+            }
+            if (readUint32(bytes, localOffset) !== ZIP_LOCAL_HEADER) {
+                throw new Error('Invalid ZIP entry: ' + name);
+            }
+
+            var start = localOffset + 30 + readUint16(bytes, localOffset + 26) + readUint16(bytes, localOffset + 28);
+            var data = bytes.subarray(start, start + compressedSize);
+            var content;
+
+            if (method === 0) {
+                content = data;
+            } else if (method === 8) {
+                content = await inflate(data, 'deflate-raw');
+            } else {
+                console.error('Unsupported ZIP compression method ' + method + ' for ' + name);
+                continue;
+            }
+
+            if (crc32(content) !== crc) {
+                throw new Error('Corrupt ZIP entry: ' + name);
+            }
+            files.push({ name: name, bytes: content });
+        }
+
+        return files;
+    }
+
+    /**
+     * File names are UTF-8 when flagged, else (in practice) the local code page
+     */
+    function decodeName(bytes, utf8) {
+        if (utf8 && typeof TextDecoder !== 'undefined') {
+            return new TextDecoder('utf-8').decode(bytes);
+        }
+        return String.fromCharCode.apply(null, bytes);
+    }
+
+    /**
+     * Extract a gzip file
+     * @param {string} [name] - Archive file name; "x.srt.gz" names the content "x.srt"
+     * @returns {Promise<Object>} { name, bytes }
+     */
+    async function gunzip(bytes, name) {
+        var flags = bytes[3];
+        var offset = 10;
+        var storedName = '';
+
+        if (flags & 4) {
+            offset += 2 + readUint16(bytes, offset);
+        }
+        if (flags & 8) {
+            var nameStart = offset;
+            while (offset < bytes.length && bytes[offset] !== 0) {
+                offset++;
+            }
+            storedName = decodeName(bytes.subarray(nameStart, offset), false);
+            offset++;
+        }
+        if (flags & 16) {
+            while (offset < bytes.length && bytes[offset] !== 0) {
+                offset++;
+            }
+            offset++;
+        }
+        if (flags & 2) {
+            offset += 2;
+        }
+
+        var content = await inflate(bytes, 'gzip', offset);
+        var crc = readUint32(bytes, bytes.length - 8);
+        if (crc32(content) !== crc) {
+            throw new Error('Corrupt gzip file');
+        }
+
+        return {
+            name: storedName || String(name || '').split(/[?#]/)[0].split('/').pop().replace(/\.t?gz$/i, ''),
+            bytes: content
+        };
+    }
+
+    /**
+     * Decompress with DecompressionStream, falling back to inflateRaw
+     * @param {string} format - 'deflate-raw' or 'gzip' (the whole file; offset is where its deflate data starts)
+     */
+    async function inflate(bytes, format, offset) {
+        if (typeof DecompressionStream !== 'undefined' && typeof Response !== 'undefined') {
+            try {
+                var stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+                return new Uint8Array(await new Response(stream).arrayBuffer());
+            } catch (e) {
+                // Not supported for this format (older browsers know only gzip / deflate)
+            }
+        }
+        return inflateRaw(format === 'gzip' ? bytes.subarray(offset) : bytes);
+    }
+
+    /**
+     * Inflate raw deflate data (RFC 1951)
+     * @returns {Uint8Array} Decompressed bytes
+     */
+    function inflateRaw(data) {
+        var output = new Uint8Array(Math.max(1024, data.length * 4));
+        var outputLength = 0;
+        var position = 0;
+        var bitBuffer = 0;
+        var bitCount = 0;
+
+        function bits(count) {
+            while (bitCount < count) {
+                if (position >= data.length) {
+                    throw new Error('Unexpected end of compressed data');
+                }
+                bitBuffer |= data[position++] << bitCount;
+                bitCount += 8;
+            }
+            var value = bitBuffer & ((1 << count) - 1);
+            bitBuffer >>>= count;
+            bitCount -= count;
+            return value;
+        }
+
+        function reserve(count) {
+            if (outputLength + count > output.length) {
+                var larger = new Uint8Array(Math.max(output.length * 2, outputLength + count));
+                larger.set(output.subarray(0, outputLength));
+                output = larger;
+            }
+        }
+
+        // Canonical Huffman codes are read one bit at a time, first bit first
+        function decodeSymbol(table) {
+            var code = 0;
+            var first = 0;
+            var index = 0;
+            for (var length = 1; length <= 15; length++) {
+                code |= bits(1);
+                var count = table.counts[length];
+                if (code - first < count) {
+                    return table.symbols[index + code - first];
+                }
+                index += count;
+                first = (first + count) << 1;
+                code <<= 1;
+            }
+            throw new Error('Invalid compressed data');
+        }
+
+        var last = 0;
+        while (!last) {
+            last = bits(1);
+            var type = bits(2);
+
+            if (type === 0) {
+                bitBuffer = 0;
+                bitCount = 0;
+                var length = readUint16(data, position);
+                if (position + 4 + length > data.length) {
+                    throw new Error('Unexpected end of compressed data');
+                }
+                reserve(length);
+                output.set(data.subarray(position + 4, position + 4 + length), outputLength);
+                outputLength += length;
+                position += 4 + length;
+                continue;
+            }
+
+            var tables;
+            if (type === 1) {
+                tables = getFixedTables();
+            } else if (type === 2) {
+                tables = readDynamicTables(bits, decodeSymbol);
+            } else {
+                throw new Error('Invalid compressed block');
+            }
+
+            for (;;) {
+                var symbol = decodeSymbol(tables.literals);
+                if (symbol < 256) {
+                    reserve(1);
+                    output[outputLength++] = symbol;
+                } else if (symbol === 256) {
+                    break;
+                } else {
+                    symbol -= 257;
+                    if (symbol >= LENGTH_BASE.length) {
+                        throw new Error('Invalid compressed data');
+                    }
+                    var copyLength = LENGTH_BASE[symbol] + bits(LENGTH_EXTRA[symbol]);
+                    var distanceSymbol = decodeSymbol(tables.distances);
+                    var distance = DISTANCE_BASE[distanceSymbol] + bits(DISTANCE_EXTRA[distanceSymbol]);
+                    if (distance > outputLength) {
+                        throw new Error('Invalid compressed data');
+                    }
+
+                    reserve(copyLength);
+                    for (var i = 0; i < copyLength; i++) {
+                        output[outputLength] = output[outputLength - distance];
+                        outputLength++;
+                    }
+                }
+            }
+        }
+
+        return output.slice(0, outputLength);
+    }
+
+    /**
+     * Build a canonical Huffman table from code lengths
+     */
+    function buildTable(lengths) {
+        var counts = new Uint16Array(16);
+        var offsets = new Uint16Array(16);
+        var symbols = new Uint16Array(lengths.length);
+
+        for (var i = 0; i < lengths.length; i++) {
+            counts[lengths[i]]++;
+        }
+        counts[0] = 0;
+        for (var length = 1; length < 15; length++) {
+            offsets[length + 1] = offsets[length] + counts[length];
+        }
+        for (var symbol = 0; symbol < lengths.length; symbol++) {
+            if (lengths[symbol]) {
+                symbols[offsets[lengths[symbol]]++] = symbol;
+            }
+        }
+        return { counts: counts, symbols: symbols };
+    }
+
+    function getFixedTables() {
+        if (!fixedTables) {
+            var lengths = new Uint8Array(288);
+            for (var i = 0; i < 288; i++) {
+                lengths[i] = i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8;
+            }
+            var distances = new Uint8Array(30);
+            for (var j = 0; j < 30; j++) {
+                distances[j] = 5;
+            }
+            fixedTables = { literals: buildTable(lengths), distances: buildTable(distances) };
+        }
+        return fixedTables;
+    }
+
+    function readDynamicTables(bits, decodeSymbol) {
+        var literalCount = bits(5) + 257;
+        var distanceCount = bits(5) + 1;
+        var codeLengthCount = bits(4) + 4;
+
+        var codeLengths = new Uint8Array(19);
+        for (var i = 0; i < codeLengthCount; i++) {
+            codeLengths[CODE_LENGTH_ORDER[i]] = bits(3);
+        }
+        var codeLengthTable = buildTable(codeLengths);
+
+        var lengths = new Uint8Array(literalCount + distanceCount);
+        var index = 0;
+        while (index < lengths.length) {
+            var symbol = decodeSymbol(codeLengthTable);
+            var repeat = 0;
+            var value = 0;
+
+            if (symbol < 16) {
+                lengths[index++] = symbol;
+                continue;
+            } else if (symbol === 16) {
+                if (index === 0) {
+                    throw new Error('Invalid compressed data');
+                }
+                value = lengths[index - 1];
+                repeat = 3 + bits(2);
+            } else if (symbol === 17) {
+                repeat = 3 + bits(3);
+            } else {
+                repeat = 11 + bits(7);
+            }
+
+            if (index + repeat > lengths.length) {
+                throw new Error('Invalid compressed data');
+            }
+            while (repeat--) {
+                lengths[index++] = value;
+            }
+        }
+
+        return {
+            literals: buildTable(lengths.subarray(0, literalCount)),
+            distances: buildTable(lengths.subarray(literalCount))
+        };
+    }
+
+    /**
+     * CRC-32 of bytes, as stored in ZIP and gzip files
+     */
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (var n = 0; n < 256; n++) {
+                var c = n;
+                for (var k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        var crc = 0xFFFFFFFF;
+        for (var i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // Public API
+    return {
+        getType: getType,
+        extract: extract,
+        unzip: unzip,
+        gunzip: gunzip,
+        inflateRaw: inflateRaw,
+        crc32: crc32
+    };
+})();
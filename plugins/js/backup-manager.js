@@ -0,0 +1,324 @@
+/**
+ * Backup Manager
+ * Exports the configuration to a versioned JSON bundle and imports it on another device
+ */
+
+var BackupManager = (function() {
+    'use strict';
+
+    var FORMAT = 'iptv-player-msx-backup';
+    var VERSION = 1;
+
+    // Fields holding credentials, blanked when secrets are excluded
+    var SECRET_FIELDS = ['password', 'apiKey', 'mac', 'token'];
+    // URL query parameters holding credentials
+    var SECRET_PARAMS = /([?&](?:password|pass|token|key|apikey)=)[^&]*/gi;
+
+    /**
+     * Create backup bundle
+     * @param {Object} [options] - includeSecrets (default true)
+     * @returns {Object} Backup bundle
+     */
+    function createBackup(options) {
+        var includeSecrets = !options || options.includeSecrets !== false;
+
+        var data = {
+            playlists: IPTVStorage.getPlaylists(),
+            ipServers: IPTVStorage.getIPServers(),
+            favorites: IPTVStorage.getFavorites(),
+            subtitleServers: IPTVStorage.getSubtitleServers(),
+            channelSubtitles: IPTVStorage.getAllChannelSubtitles(),
+            localSubtitles: IPTVStorage.getLocalSubtitles(),
+            epgSources: IPTVStorage.getEPGSources(),
+            customLists: IPTVStorage.getCustomLists(),
+            hiddenChannels: IPTVStorage.getHiddenChannels(),
+            hiddenCategories: IPTVStorage.getHiddenCategories(),
+            categoryOrder: IPTVStorage.getCategoryOrder()
+        };
+
+        if (!includeSecrets) {
+            ['playlists', 'ipServers', 'subtitleServers', 'epgSources'].forEach(function(key) {
+                data[key] = data[key].map(stripSecrets);
+            });
+        }
+
+        return {
+            format: FORMAT,
+            version: VERSION,
+            exportedAt: new Date().toISOString(),
+            includesSecrets: includeSecrets,
+            data: data
+        };
+    }
+
+    /**
+     * Copy of an item without credentials
+     */
+    function stripSecrets(item) {
+        var copy = {};
+
+        for (var key in item) {
+            if (SECRET_FIELDS.indexOf(key) !== -1) {
+                copy[key] = '';
+            } else if (key === 'url' && typeof item[key] === 'string') {
+                copy[key] = item[key].replace(SECRET_PARAMS, '$1');
+            } else {
+                copy[key] = item[key];
+            }
+        }
+
+        return copy;
+    }
+
+    /**
+     * Validate backup bundle
+     * @returns {string|null} Error message, or null if the bundle can be imported
+     */
+    function validateBackup(bundle) {
+        if (!bundle || typeof bundle !== 'object' || bundle.format !== FORMAT) {
+            return 'Not an IPTV Player backup';
+        }
+        if (typeof bundle.version !== 'number' || bundle.version > VERSION) {
+            return 'Backup was made by a newer version (v' + bundle.version + ')';
+        }
+        if (!bundle.data || typeof bundle.data !== 'object') {
+            return 'Backup contains no data';
+        }
+
+        var lists = ['playlists', 'ipServers', 'favorites', 'subtitleServers', 'localSubtitles', 'epgSources',
+                     'customLists', 'hiddenChannels', 'hiddenCategories', 'categoryOrder'];
+        for (var i = 0; i < lists.length; i++) {
+            var list = bundle.data[lists[i]];
+            if (list !== undefined && !Array.isArray(list)) {
+                return 'Invalid backup: ' + lists[i] + ' is not a list';
+            }
+        }
+
+        var subtitles = bundle.data.channelSubtitles;
+        if (subtitles !== undefined && (typeof subtitles !== 'object' || Array.isArray(subtitles))) {
+            return 'Invalid backup: channelSubtitles is not an object';
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse and validate backup text
+     * @returns {Object} Backup bundle
+     */
+    function parseBackup(text) {
+        var bundle;
+
+        try {
+            bundle = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Backup is not valid JSON');
+        }
+
+        var error = validateBackup(bundle);
+        if (error) {
+            throw new Error(error);
+        }
+
+        return bundle;
+    }
+
+    /**
+     * Import backup bundle
+     * Playlists and servers get new ids; channel ids in favorites, subtitles, custom
+     * lists and hidden channels ("playlistId:hash") are moved to the new playlist ids.
+     * @param {Object} bundle - Validated backup bundle
+     * @param {string} mode - 'merge' keeps the current setup, 'replace' clears it first
+     * @returns {Object} Summary with counts and sourceIds (sources whose channels need loading)
+     */
+    function importBackup(bundle, mode) {
+        var error = validateBackup(bundle);
+        if (error) {
+            throw new Error(error);
+        }
+
+        if (mode === 'replace') {
+            IPTVStorage.clearAll();
+        }
+
+        var data = bundle.data;
+        var idMap = {};
+        var summary = {
+            playlists: 0,
+            ipServers: 0,
+            favorites: 0,
+            subtitleServers: 0,
+            subtitles: 0,
+            epgSources: 0,
+            customLists: 0,
+            sourceIds: []
+        };
+
+        (data.playlists || []).forEach(function(playlist) {
+            var existing = findExisting(IPTVStorage.getPlaylists(), playlist, ['url']);
+            if (existing) {
+                idMap[playlist.id] = existing.id;
+                return;
+            }
+
+            var oldId = playlist.id;
+            var added = IPTVStorage.addPlaylist(copyWithout(playlist, ['lastRefreshed', 'lastRefreshError']));
+            idMap[oldId] = added.id;
+            summary.playlists++;
+            summary.sourceIds.push(added.id);
+        });
+
+        (data.ipServers || []).forEach(function(server) {
+            var existing = findExisting(IPTVStorage.getIPServers(), server,
+                server.sourceType === 'stalker' ? ['portalUrl', 'mac'] : ['ip', 'port', 'username']);
+            if (existing) {
+                idMap[server.id] = existing.id;
+                return;
+            }
+
+            var oldId = server.id;
+            var added = IPTVStorage.addIPServer(copyWithout(server, ['lastRefreshed', 'lastRefreshError']));
+            idMap[oldId] = added.id;
+            summary.ipServers++;
+            summary.sourceIds.push(added.id);
+        });
+
+        (data.epgSources || []).forEach(function(source) {
+            var before = IPTVStorage.getEPGSources().length;
+            var copy = copyWithout(source, ['lastUpdated', 'lastError', 'channelCount', 'channelIds']);
+            if (copy.sourceId) {
+                copy.sourceId = idMap[copy.sourceId] || copy.sourceId;
+            }
+            IPTVStorage.addEPGSource(copy);
+            if (IPTVStorage.getEPGSources().length > before) {
+                summary.epgSources++;
+            }
+        });
+
+        (data.favorites || []).forEach(function(channelId) {
+            var id = remapChannelId(channelId, idMap);
+            if (!IPTVStorage.isFavorite(id)) {
+                IPTVStorage.addFavorite(id);
+                summary.favorites++;
+            }
+        });
+
+        // Lists with the same name are merged
+        (data.customLists || []).forEach(function(imported) {
+            var list = IPTVStorage.getCustomLists().filter(function(existing) {
+                return existing.name === imported.name;
+            })[0];
+            if (!list) {
+                list = IPTVStorage.addCustomList(imported.name);
+                summary.customLists++;
+            }
+            (imported.channelIds || []).forEach(function(channelId) {
+                IPTVStorage.addToCustomList(list.id, remapChannelId(channelId, idMap));
+            });
+        });
+
+        (data.hiddenChannels || []).forEach(function(channelId) {
+            IPTVStorage.hideChannel(remapChannelId(channelId, idMap));
+        });
+
+        (data.hiddenCategories || []).forEach(function(name) {
+            IPTVStorage.setCategoryHidden(name, true);
+        });
+
+        // Imported order goes first, current categories it doesn't know keep their place after it
+        if (data.categoryOrder && data.categoryOrder.length > 0) {
+            var order = data.categoryOrder.slice();
+            IPTVStorage.getCategoryOrder().forEach(function(name) {
+                if (order.indexOf(name) === -1) {
+                    order.push(name);
+                }
+            });
+            IPTVStorage.saveCategoryOrder(order);
+        }
+
+        var subtitles = data.channelSubtitles || {};
+        Object.keys(subtitles).forEach(function(channelId) {
+            var id = remapChannelId(channelId, idMap);
+            Object.keys(subtitles[channelId]).forEach(function(language) {
+                if (IPTVStorage.getChannelSubtitle(id, language)) {
+                    return;
+                }
+                var subtitle = subtitles[channelId][language];
+                subtitle.channelId = id;
+                IPTVStorage.saveChannelSubtitle(id, language, subtitle);
+                summary.subtitles++;
+            });
+        });
+
+        (data.subtitleServers || []).forEach(function(server) {
+            if (!findExisting(IPTVStorage.getSubtitleServers(), server, ['serverType', 'apiUrl'])) {
+                IPTVStorage.addSubtitleServer(copyWithout(server, []));
+                summary.subtitleServers++;
+            }
+        });
+
+        var localIds = IPTVStorage.getLocalSubtitles().map(function(s) { return s.addedAt + '|' + s.name; });
+        (data.localSubtitles || []).forEach(function(subtitle) {
+            if (localIds.indexOf(subtitle.addedAt + '|' + subtitle.name) === -1) {
+                IPTVStorage.addLocalSubtitle(copyWithout(subtitle, []));
+                summary.subtitles++;
+            }
+        });
+
+        return summary;
+    }
+
+    /**
+     * Find an item whose fields all equal the given item's
+     */
+    function findExisting(items, item, fields) {
+        return items.filter(function(existing) {
+            return fields.every(function(field) {
+                return existing[field] === item[field];
+            });
+        })[0] || null;
+    }
+
+    /**
+     * Shallow copy without id and the given fields
+     */
+    function copyWithout(item, fields) {
+        var copy = {};
+        for (var key in item) {
+            if (key !== 'id' && fields.indexOf(key) === -1) {
+                copy[key] = item[key];
+            }
+        }
+        return copy;
+    }
+
+    /**
+     * Move a channel id to the new id of its playlist / server
+     */
+    function remapChannelId(channelId, idMap) {
+        var separator = String(channelId).lastIndexOf(':');
+        if (separator === -1) {
+            return channelId;
+        }
+
+        var sourceId = channelId.substring(0, separator);
+        return idMap[sourceId] ? idMap[sourceId] + channelId.substring(separator) : channelId;
+    }
+
+    /**
+     * File name for a backup made now
+     */
+    function getFileName() {
+        return 'iptv-backup-' + new Date().toISOString().slice(0, 10) + '.json';
+    }
+
+    // Public API
+    return {
+        VERSION: VERSION,
+        createBackup: createBackup,
+        validateBackup: validateBackup,
+        parseBackup: parseBackup,
+        importBackup: importBackup,
+        getFileName: getFileName
+    };
+})();
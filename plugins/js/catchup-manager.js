@@ -0,0 +1,233 @@
+/**
+ * Catch-up Manager
+ * Builds archive (timeshift) URLs for past programs on channels that support catch-up
+ */
+
+var CatchupManager = (function() {
+    'use strict';
+
+    // Used when a playlist enables catch-up without catchup-days
+    var DEFAULT_DAYS = 7;
+
+    var DAY_MS = 24 * 60 * 60 * 1000;
+
+    /**
+     * Check if channel supports catch-up
+     */
+    function supportsCatchup(channel) {
+        return !!channel.catchup && channel.catchup !== 'disabled' && getArchiveDays(channel) > 0;
+    }
+
+    /**
+     * Get number of days the archive goes back
+     */
+    function getArchiveDays(channel) {
+        if (typeof channel.catchupDays === 'number' && channel.catchupDays > 0) {
+            return channel.catchupDays;
+        }
+        return channel.catchup ? DEFAULT_DAYS : 0;
+    }
+
+    /**
+     * Check if a program can be watched from the archive
+     * Running programs count too ("watch from start")
+     */
+    function isAvailable(channel, program, now) {
+        now = now || Date.now();
+
+        if (!supportsCatchup(channel) || program.start >= now) {
+            return false;
+        }
+
+        // Xtream marks programs that are missing from the archive
+        if (program.hasArchive === false && channel.catchup === 'xc') {
+            return false;
+        }
+
+        return program.start >= now - getArchiveDays(channel) * DAY_MS;
+    }
+
+    /**
+     * Build replay URL for a program
+     * @param {Object} channel - Channel with catchup, catchupSource, catchupDays
+     * @param {Object} program - Program with start and stop timestamps (ms)
+     * @returns {string} Archive URL
+     */
+    function getReplayUrl(channel, program) {
+        var correction = (channel.catchupCorrection || 0) * 60 * 60 * 1000;
+        var times = {
+            start: program.start + correction,
+            stop: program.stop + correction,
+            now: Date.now()
+        };
+
+        switch (channel.catchup) {
+            case 'xc':
+                return buildXtreamUrl(channel, times);
+            case 'shift':
+                return channel.url + (channel.url.indexOf('?') === -1 ? '?' : '&') +
+                       fillTemplate('utc={utc}&lutc={lutc}', times);
+            case 'append':
+                return channel.url + fillTemplate(channel.catchupSource || '', times);
+            case 'flussonic':
+            case 'flussonic-hls':
+            case 'flussonic-ts':
+            case 'fs':
+                return buildFlussonicUrl(channel.url, times);
+            case 'default':
+            case 'vod':
+                if (!channel.catchupSource) {
+                    throw new Error('Channel has no catch-up source');
+                }
+                return fillTemplate(channel.catchupSource, times);
+            default:
+                throw new Error('Unsupported catch-up type: ' + channel.catchup);
+        }
+    }
+
+    /**
+     * Build Xtream Codes timeshift URL
+     * /timeshift/{user}/{pass}/{minutes}/{YYYY-MM-DD:HH-MM}/{stream_id}.ts
+     */
+    function buildXtreamUrl(channel, times) {
+        var match = /^(https?:\/\/[^\/]+)\/(?:live\/)?([^\/]+)\/([^\/]+)\/(\d+)(\.\w+)?$/.exec(channel.url);
+        if (!match) {
+            throw new Error('Cannot build timeshift URL for this channel');
+        }
+
+        // Xtream expects the start time in the server's timezone
+        var server = typeof IPTVStorage !== 'undefined' ? IPTVStorage.getIPServerById(channel.playlistId) : null;
+        var timezone = server && server.account ? server.account.timezone : '';
+        var minutes = Math.ceil((times.stop - times.start) / 60000);
+
+        return match[1] + '/timeshift/' + match[2] + '/' + match[3] + '/' + minutes + '/' +
+               formatServerTime(times.start, timezone) + '/' + match[4] + (match[5] || '.ts');
+    }
+
+    /**
+     * Format time as YYYY-MM-DD:HH-MM in a timezone (local time if none given)
+     */
+    function formatServerTime(time, timezone) {
+        var parts = {};
+
+        try {
+            new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone || undefined,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                hourCycle: 'h23'
+            }).formatToParts(new Date(time)).forEach(function(part) {
+                parts[part.type] = part.value;
+            });
+        } catch (e) {
+            // Unknown timezone names fall back to local time
+            var date = new Date(time);
+            parts = {
+                year: String(date.getFullYear()),
+                month: pad(date.getMonth() + 1),
+                day: pad(date.getDate()),
+                hour: pad(date.getHours()),
+                minute: pad(date.getMinutes())
+            };
+        }
+
+        return parts.year + '-' + parts.month + '-' + parts.day + ':' + parts.hour + '-' + parts.minute;
+    }
+
+    /**
+     * Build Flussonic archive URL from a live URL
+     */
+    function buildFlussonicUrl(url, times) {
+        var start = Math.floor(times.start / 1000);
+        var duration = Math.floor((times.stop - times.start) / 1000);
+
+        // http://host/channel/index.m3u8 → http://host/channel/index-{start}-{duration}.m3u8
+        var hls = /^(.*\/)(index|video|mono|playlist)(\.m3u8)(\?.*)?$/.exec(url);
+        if (hls) {
+            return hls[1] + hls[2] + '-' + start + '-' + duration + hls[3] + (hls[4] || '');
+        }
+
+        // http://host/channel/mpegts → http://host/channel/timeshift_abs-{start}.ts
+        var ts = /^(.*\/)mpegts(\?.*)?$/.exec(url);
+        if (ts) {
+            return ts[1] + 'timeshift_abs-' + start + '.ts' + (ts[2] || '');
+        }
+
+        throw new Error('Cannot build Flussonic archive URL for this channel');
+    }
+
+    /**
+     * Replace catch-up placeholders ({utc}, ${start}, {duration:60}, {Y}, {utc:Y-m-d}, ...)
+     */
+    function fillTemplate(template, times) {
+        var start = Math.floor(times.start / 1000);
+        var stop = Math.floor(times.stop / 1000);
+        var now = Math.floor(times.now / 1000);
+
+        return template.replace(/\$?\{([a-z]+)(?::([^}]+))?\}/gi, function(all, name, arg) {
+            switch (name) {
+                case 'utc':
+                case 'start':
+                    return arg ? formatDate(times.start, arg) : start;
+                case 'utcend':
+                case 'end':
+                    return arg ? formatDate(times.stop, arg) : stop;
+                case 'lutc':
+                case 'now':
+                case 'timestamp':
+                    return arg ? formatDate(times.now, arg) : now;
+                case 'duration':
+                    return Math.floor((stop - start) / (parseInt(arg, 10) || 1));
+                case 'offset':
+                    return Math.floor((now - start) / (parseInt(arg, 10) || 1));
+                case 'Y':
+                case 'm':
+                case 'd':
+                case 'H':
+                case 'M':
+                case 'S':
+                    return formatDate(times.start, name);
+                default:
+                    return all;
+            }
+        });
+    }
+
+    /**
+     * Format UTC date with Y, m, d, H, M, S tokens
+     */
+    function formatDate(time, format) {
+        var date = new Date(time);
+        var tokens = {
+            Y: String(date.getUTCFullYear()),
+            m: pad(date.getUTCMonth() + 1),
+            d: pad(date.getUTCDate()),
+            H: pad(date.getUTCHours()),
+            M: pad(date.getUTCMinutes()),
+            S: pad(date.getUTCSeconds())
+        };
+
+        return format.replace(/[YmdHMS]/g, function(token) {
+            return tokens[token];
+        });
+    }
+
+    /**
+     * Pad number to two digits
+     */
+    function pad(value) {
+        return ('0' + value).slice(-2);
+    }
+
+    // Public API
+    return {
+        supportsCatchup: supportsCatchup,
+        getArchiveDays: getArchiveDays,
+        isAvailable: isAvailable,
+        getReplayUrl: getReplayUrl,
+        fillTemplate: fillTemplate
+    };
+})();
@@ -0,0 +1,361 @@
+/**
+ * Channel Grid
+ * Renders channel cards with favorites, guide link and now/next, shared by the channel pages
+ */
+
+var ChannelGrid = (function() {
+    'use strict';
+
+    // Timeline shows the next three hours, starting at the current half hour
+    var TIMELINE_SPAN = 3 * 60 * 60 * 1000;
+    // Xtream short EPG requests made per page load for channels without guide data
+    var SHORT_EPG_LIMIT = 30;
+    // Now/next is refreshed every minute
+    var REFRESH_INTERVAL = 60 * 1000;
+
+    var guideRequested = {};
+    // Short EPG requests made since the page loaded, at most SHORT_EPG_LIMIT
+    var guideRequests = 0;
+    var refreshTimer = null;
+
+    // Channels currently shown, used for channel up/down in the player
+    var currentChannels = [];
+    var currentReload = null;
+
+    /**
+     * Render channels into a container
+     * @param {HTMLElement} container - Grid element
+     * @param {Array} channels - Channels to show
+     * @param {Object} [options] - emptyMessage (HTML), reload (function re-rendering the page)
+     */
+    function render(container, channels, options) {
+        options = options || {};
+
+        // The same channel from several sources is shown once
+        if (typeof ChannelMerger !== 'undefined' && ChannelMerger.isEnabled()) {
+            channels = ChannelMerger.merge(channels);
+        }
+        currentChannels = channels;
+        currentReload = options.reload || null;
+
+        if (channels.length === 0) {
+            container.innerHTML = '<div class="empty">' +
+                (options.emptyMessage || '📭 No channels found<br><small>Add a playlist first</small>') +
+                '</div>';
+            return;
+        }
+
+        var lockSettings = typeof ParentalControl !== 'undefined' ? ParentalControl.getLockSettings() : null;
+        container.innerHTML = channels.map(function(ch) {
+            return renderCard(ch, lockSettings);
+        }).join('');
+
+        if (currentReload && !refreshTimer) {
+            refreshTimer = setInterval(reload, REFRESH_INTERVAL);
+        }
+
+        loadServerGuides(container, channels, lockSettings);
+    }
+
+    /**
+     * Render one channel card
+     * @param {Object} ch - Channel
+     * @param {Object|null} lockSettings - Parental settings, null when nothing is locked
+     */
+    function renderCard(ch, lockSettings) {
+        if (lockSettings && ParentalControl.isBlurred(ch, lockSettings)) {
+            return '<div class="channel" data-id="' + escapeHtml(ch.id) + '" onclick="ChannelGrid.play(\'' + ch.id + '\')">' +
+                   '<div class="channel-name" style="filter: blur(6px);">' + escapeHtml(ch.name) + '</div>' +
+                   '<div class="channel-cat">🔒 Locked - enter PIN to watch</div>' +
+                   '</div>';
+        }
+
+        var archive = typeof CatchupManager !== 'undefined' && CatchupManager.supportsCatchup(ch) ?
+            ' | ⏪ ' + CatchupManager.getArchiveDays(ch) + 'd archive' : '';
+        var sources = ch.sources || [ch];
+        var offline = sources.every(function(s) { return s.health && s.health.status === 'offline'; }) ?
+            ' | <span style="color: #f44336;" title="' + escapeHtml(sources[0].health.error || '') + '">● ' +
+            (typeof HealthChecker !== 'undefined' && sources.every(HealthChecker.isDead) ? 'Dead' : 'Offline') + '</span>' : '';
+        var merged = ch.sources ? ' | 🔀 ' + ch.sources.length + ' sources' : '';
+
+        return '<div class="channel" data-id="' + escapeHtml(ch.id) + '" onclick="ChannelGrid.play(\'' + ch.id + '\')">' +
+               '<button class="opts-btn" onclick="event.stopPropagation(); ChannelGrid.openOptions(\'' + ch.id + '\')">☰</button>' +
+               '<button class="guide-btn" onclick="event.stopPropagation(); ChannelGrid.openGuide(\'' + ch.id + '\')">📅</button>' +
+               '<button class="fav-btn" onclick="event.stopPropagation(); ChannelGrid.toggleFavorite(\'' + ch.id + '\')">' +
+               (isFavorite(ch) ? '★' : '☆') + '</button>' +
+               (ch.logo ? '<img src="' + escapeHtml(ch.logo) + '" onerror="this.style.display=\'none\'">' : '') +
+               '<div class="channel-name">' + escapeHtml(ch.name) + '</div>' +
+               '<div class="channel-cat">' + escapeHtml(ch.category) + archive + merged + offline + '</div>' +
+               renderEPG(ch) +
+               '</div>';
+    }
+
+    /**
+     * Render now/next, progress and timeline of a channel
+     */
+    function renderEPG(channel) {
+        var now = Date.now();
+        var info = EPGManager.getNowNext(channel, now);
+        if (!info) {
+            return '';
+        }
+
+        var from = now - now % (30 * 60 * 1000);
+        var timeline = EPGManager.getTimeline(channel, from, from + TIMELINE_SPAN).map(function(item) {
+            return '<span class="' + (item.program === info.now ? 'current' : '') + '"' +
+                   ' style="left:' + item.offset + '%;width:' + item.width + '%"' +
+                   ' title="' + escapeHtml(EPGManager.formatTime(item.program.start) + ' ' + item.program.title) + '">' +
+                   escapeHtml(item.program.title) + '</span>';
+        }).join('');
+
+        return '<div class="epg">' +
+               (info.now ?
+                   '<div class="epg-now">▶ ' + EPGManager.formatTime(info.now.start) + ' ' + escapeHtml(info.now.title) + '</div>' +
+                   '<div class="epg-progress"><div style="width:' + Math.round(info.progress * 100) + '%"></div></div>' : '') +
+               (info.next ?
+                   '<div class="epg-next">Next ' + EPGManager.formatTime(info.next.start) + ' ' + escapeHtml(info.next.title) + '</div>' : '') +
+               '<div class="epg-timeline">' + timeline + '</div>' +
+               '</div>';
+    }
+
+    /**
+     * Fetch the Xtream short EPG for the first channels that have no guide data yet
+     * Renders after the first one (refreshes, filters) only use what is left of
+     * SHORT_EPG_LIMIT, so the requests never run through the whole list.
+     */
+    async function loadServerGuides(container, channels, lockSettings) {
+        var now = Date.now();
+        var missing = [];
+
+        for (var i = 0; i < channels.length && guideRequests < SHORT_EPG_LIMIT; i++) {
+            var ch = channels[i];
+            if (!ch.stream_id || guideRequested[ch.id] || EPGManager.getNowNext(ch, now)) continue;
+            if (EPGManager.hasServerGuide(ch)) {
+                guideRequested[ch.id] = true;
+                guideRequests++;
+                missing.push(ch);
+            }
+        }
+
+        for (var j = 0; j < missing.length; j++) {
+            try {
+                await EPGManager.loadChannelPrograms(missing[j]);
+            } catch (e) {
+                console.error('Error loading short EPG:', e);
+                continue;
+            }
+            updateCard(container, missing[j], lockSettings);
+        }
+    }
+
+    /**
+     * Re-render the card of one channel in place
+     */
+    function updateCard(container, channel, lockSettings) {
+        var cards = container.querySelectorAll('.channel');
+        for (var i = 0; i < cards.length; i++) {
+            if (cards[i].getAttribute('data-id') === channel.id) {
+                cards[i].outerHTML = renderCard(channel, lockSettings);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Re-render the page through its reload callback
+     */
+    function reload() {
+        if (currentReload) {
+            currentReload();
+        }
+    }
+
+    /**
+     * Play channel with the shown list as playlist
+     */
+    async function play(id) {
+        var channel = findChannel(id);
+        var channels = currentChannels;
+
+        if (typeof ParentalControl !== 'undefined') {
+            if (ParentalControl.isBlurred(channel)) {
+                if (!(await ParentalControl.requestUnlock())) {
+                    return;
+                }
+                reload();
+            }
+            ParentalControl.touch();
+
+            // Locked channels stay out of channel up/down
+            var lockSettings = ParentalControl.getLockSettings();
+            channels = !lockSettings ? channels : channels.filter(function(c) {
+                return !ParentalControl.isBlurred(c, lockSettings);
+            });
+        }
+
+        try {
+            await MSXPlayer.playChannel(channel, channels);
+        } catch (e) {
+            alert('❌ Error starting channel: ' + e.message);
+        }
+    }
+
+    /**
+     * Add or remove channel from favorites
+     */
+    function toggleFavorite(id) {
+        var channel = findChannel(id);
+
+        if (isFavorite(channel)) {
+            getSourceIds(channel).forEach(IPTVStorage.removeFavorite);
+        } else {
+            IPTVStorage.addFavorite(id);
+        }
+        reload();
+    }
+
+    /**
+     * Check if a channel, or any source of a merged channel, is a favorite
+     */
+    function isFavorite(channel) {
+        return getSourceIds(channel).some(IPTVStorage.isFavorite);
+    }
+
+    /**
+     * Get ids of the channels behind a shown (possibly merged) channel
+     */
+    function getSourceIds(channel) {
+        return (channel.sources || [channel]).map(function(c) {
+            return c.id;
+        });
+    }
+
+    /**
+     * Find a shown channel by id, merged sources included
+     */
+    function findChannel(id) {
+        return currentChannels.filter(function(c) {
+            return c.id === id;
+        })[0] || IPTVStorage.getChannelById(id);
+    }
+
+    /**
+     * Show the options menu of a channel (custom lists, hide)
+     */
+    function openOptions(id) {
+        closeOptions();
+
+        var items = [];
+        IPTVStorage.getCustomLists().forEach(function(list) {
+            var inList = list.channelIds.indexOf(id) !== -1;
+            items.push({
+                label: (inList ? '✓ Remove from ' : '＋ Add to ') + list.name,
+                run: function() {
+                    if (inList) {
+                        IPTVStorage.removeFromCustomList(list.id, id);
+                    } else {
+                        IPTVStorage.addToCustomList(list.id, id);
+                    }
+                }
+            });
+        });
+        items.push({
+            label: '📝 New list…',
+            run: function() {
+                var name = prompt('List name:');
+                if (name && name.trim()) {
+                    IPTVStorage.addToCustomList(IPTVStorage.addCustomList(name.trim()).id, id);
+                }
+            }
+        });
+        if (typeof ParentalControl !== 'undefined' && ParentalControl.isEnabled()) {
+            var locked = ParentalControl.getSettings().lockedChannels.indexOf(id) !== -1;
+            items.push({
+                label: locked ? '🔓 Remove PIN lock' : '🔒 Lock with PIN',
+                run: async function() {
+                    if (!locked || await ParentalControl.requestUnlock()) {
+                        ParentalControl.setChannelLocked(id, !locked);
+                    }
+                }
+            });
+        }
+        if (Object.keys(IPTVStorage.getChannelSubtitles(id)).length > 0) {
+            items.push({
+                label: '⏱ Sync subtitles',
+                run: function() {
+                    window.location.href = 'subtitle-sync.html?channelId=' + encodeURIComponent(id);
+                }
+            });
+        }
+        items.push({
+            label: '🙈 Hide channel',
+            run: function() {
+                getSourceIds(findChannel(id)).forEach(IPTVStorage.hideChannel);
+            }
+        });
+
+        var overlay = document.createElement('div');
+        overlay.id = 'channel-options';
+        overlay.style.cssText = 'position:fixed;top:0;left:0;right:0;bottom:0;background:rgba(0,0,0,0.7);z-index:100;' +
+                                'display:flex;align-items:center;justify-content:center;';
+        overlay.onclick = closeOptions;
+
+        var menu = document.createElement('div');
+        menu.style.cssText = 'background:#2a2a2a;border-radius:8px;padding:15px;min-width:260px;max-height:80%;overflow:auto;';
+
+        var channel = IPTVStorage.getChannelById(id);
+        var title = document.createElement('div');
+        title.style.cssText = 'font-weight:bold;margin-bottom:10px;';
+        title.textContent = channel ? channel.name : '';
+        menu.appendChild(title);
+
+        items.forEach(function(item) {
+            var button = document.createElement('button');
+            button.style.cssText = 'display:block;width:100%;text-align:left;padding:10px;margin-top:5px;background:#3a3a3a;' +
+                                   'color:#fff;border:none;border-radius:5px;cursor:pointer;font-size:14px;';
+            button.textContent = item.label;
+            button.onclick = function(event) {
+                event.stopPropagation();
+                closeOptions();
+                Promise.resolve(item.run()).then(reload);
+            };
+            menu.appendChild(button);
+        });
+
+        overlay.appendChild(menu);
+        document.body.appendChild(overlay);
+    }
+
+    /**
+     * Close the options menu
+     */
+    function closeOptions() {
+        var overlay = document.getElementById('channel-options');
+        if (overlay) {
+            overlay.parentNode.removeChild(overlay);
+        }
+    }
+
+    /**
+     * Open program table of a channel
+     */
+    function openGuide(id) {
+        window.location.href = 'epg.html?channelId=' + encodeURIComponent(id);
+    }
+
+    // Quotes are escaped too, so the result can go into attribute values
+    function escapeHtml(text) {
+        var div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    // Public API
+    return {
+        render: render,
+        play: play,
+        toggleFavorite: toggleFavorite,
+        openGuide: openGuide,
+        openOptions: openOptions
+    };
+})();
@@ -0,0 +1,213 @@
+/**
+ * Channel Merger
+ * Groups the same channel from several playlists and servers into one logical
+ * channel with an ordered list of sources, and picks a working source to play
+ */
+
+var ChannelMerger = (function() {
+    'use strict';
+
+    // Quality and variant tags ignored when comparing names ("BBC One HD" = "BBC One")
+    var NAME_TAGS = /\b(uhd|fhd|hd|sd|4k|8k|hevc|h\.?265|h\.?264|1080[pi]?|720p?|576[pi]?|backup|alt|multi)\b/g;
+    // Probe timeout per source when looking for a working one
+    var FAILOVER_TIMEOUT = 4000;
+    // Sort order of sources by their last health check
+    var HEALTH_RANK = { online: 0, unverified: 1, offline: 2 };
+
+    /**
+     * Check if duplicate channels are shown once (on by default)
+     */
+    function isEnabled() {
+        return IPTVStorage.getSettings().mergeDuplicates !== false;
+    }
+
+    /**
+     * Turn merging on or off
+     */
+    function setEnabled(enabled) {
+        return IPTVStorage.saveSettings(Object.assign({}, IPTVStorage.getSettings(), {
+            mergeDuplicates: !!enabled
+        }));
+    }
+
+    /**
+     * Lowercase name without tags, spaces and punctuation
+     */
+    function normalizeName(name) {
+        return (name || '').toLowerCase()
+            .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+            .replace(NAME_TAGS, ' ')
+            .replace(/[^a-z0-9\u00c0-\uffff]+/g, '');
+    }
+
+    /**
+     * Get the guide id of a channel (tvg-id, or the Xtream epg_channel_id)
+     */
+    function getGuideId(channel) {
+        return (channel.tvgId || channel.epg_channel_id || '').toLowerCase();
+    }
+
+    /**
+     * Group channels into logical channels
+     * Channels are grouped by guide id, else by normalized name; a name match joins
+     * groups unless both sides have different guide ids. Only channels of different
+     * playlists / servers are grouped, so a source's own HD and SD variants stay apart.
+     * @param {Array} channels - Channels in display order
+     * @returns {Array} Logical channels: the first channel of each group, with sources
+     *                  (all channels of the group, best first)
+     */
+    function merge(channels) {
+        var groups = [];
+        var byGuideId = {};
+        var byName = {};
+
+        function canJoin(group, channel) {
+            return !!group && !group.some(function(member) {
+                return member.playlistId === channel.playlistId;
+            });
+        }
+
+        channels.forEach(function(channel) {
+            var guideId = getGuideId(channel);
+            var name = normalizeName(channel.name);
+            var group = guideId && canJoin(byGuideId[guideId], channel) ? byGuideId[guideId] : null;
+
+            if (!group && name && canJoin(byName[name], channel) && !(guideId && byName[name].guideId)) {
+                group = byName[name];
+            }
+            if (!group) {
+                group = [];
+                groups.push(group);
+            }
+            if (guideId && !group.guideId) {
+                group.guideId = guideId;
+                byGuideId[guideId] = byGuideId[guideId] || group;
+            }
+
+            group.push(channel);
+            if (name && !byName[name]) {
+                byName[name] = group;
+            }
+        });
+
+        return groups.map(function(group) {
+            if (group.length === 1) {
+                return group[0];
+            }
+
+            var logical = Object.assign({}, group[0], { sources: sortSources(group) });
+            if (!logical.logo) {
+                logical.logo = (group.filter(function(c) { return c.logo; })[0] || {}).logo || '';
+            }
+            return logical;
+        });
+    }
+
+    /**
+     * Order sources: online first, then not checked or unverified, offline last;
+     * otherwise the order of the channel list
+     */
+    function sortSources(channels) {
+        return channels.map(function(channel, index) {
+            return { channel: channel, index: index };
+        }).sort(function(a, b) {
+            return getRank(a.channel) - getRank(b.channel) || a.index - b.index;
+        }).map(function(entry) {
+            return entry.channel;
+        });
+    }
+
+    function getRank(channel) {
+        return channel.health ? HEALTH_RANK[channel.health.status] : HEALTH_RANK.unverified;
+    }
+
+    /**
+     * Health record of a source the player could not play
+     */
+    function playbackFailure() {
+        return { status: 'offline', httpStatus: null, contentType: '', latency: null, error: 'Playback failed' };
+    }
+
+    /**
+     * Get all channels behind a logical channel
+     */
+    function getSources(channel) {
+        return channel.sources || [channel];
+    }
+
+    /**
+     * Find a source that works, trying them in order
+     * @param {Object} channel - Channel or logical channel
+     * @param {Array} [failedIds] - Sources that already failed in the player; they are
+     *                              marked offline and skipped
+     * @returns {Promise<Object|null>} { channel: source, url: resolved stream URL }, or
+     *                                 null when no source is left after failedIds
+     */
+    async function pickSource(channel, failedIds) {
+        var sources = getSources(channel);
+        var changes = {};
+
+        if (failedIds && failedIds.length > 0) {
+            sources = sources.filter(function(source) {
+                if (failedIds.indexOf(source.id) === -1) {
+                    return true;
+                }
+                if (typeof HealthChecker !== 'undefined') {
+                    changes[source.id] = { health: HealthChecker.withHistory(source, playbackFailure()) };
+                }
+                return false;
+            });
+            IPTVStorage.updateChannels(changes);
+            changes = {};
+
+            if (sources.length === 0) {
+                return null;
+            }
+        }
+
+        if (sources.length === 1 || typeof HealthChecker === 'undefined') {
+            return { channel: sources[0], url: await IPServerLoader.resolveStreamUrl(sources[0]) };
+        }
+
+        var picked = null;
+        var probed = 0;
+        var lastError = null;
+
+        for (var i = 0; i < sources.length && !picked; i++) {
+            try {
+                var url = await IPServerLoader.resolveStreamUrl(sources[i]);
+                var health = await HealthChecker.probe(url, { headers: sources[i].headers, timeout: FAILOVER_TIMEOUT });
+
+                changes[sources[i].id] = { health: HealthChecker.withHistory(sources[i], health) };
+                probed++;
+                if (health.status !== 'offline') {
+                    picked = { channel: sources[i], url: url };
+                }
+            } catch (e) {
+                lastError = e;
+            }
+        }
+
+        IPTVStorage.updateChannels(changes);
+
+        if (picked) {
+            return picked;
+        }
+        if (lastError && probed === 0) {
+            throw lastError;
+        }
+
+        // Nothing answered; let the player try the preferred source anyway
+        return { channel: sources[0], url: await IPServerLoader.resolveStreamUrl(sources[0]) };
+    }
+
+    // Public API
+    return {
+        isEnabled: isEnabled,
+        setEnabled: setEnabled,
+        normalizeName: normalizeName,
+        merge: merge,
+        getSources: getSources,
+        pickSource: pickSource
+    };
+})();
@@ -0,0 +1,484 @@
+/**
+ * EPG Manager
+ * Imports XMLTV and Xtream guides and provides now/next information for channels
+ */
+
+var EPGManager = (function() {
+    'use strict';
+
+    // Programs outside this window are dropped on import to keep storage small
+    var KEEP_PAST_MS = 6 * 60 * 60 * 1000;
+    var KEEP_FUTURE_MS = 48 * 60 * 60 * 1000;
+
+    // Guide data is read once per page and reused for every channel
+    var cache = null;
+
+    /**
+     * Register an XMLTV source
+     * @param {string} url - XMLTV URL (plain or gzipped)
+     * @param {string} name - Display name
+     * @param {string} [sourceId] - Playlist or IP server that provided the guide
+     * @returns {Object} Stored source
+     */
+    function registerSource(url, name, sourceId) {
+        return IPTVStorage.addEPGSource({
+            name: name || url,
+            url: url,
+            sourceId: sourceId || null
+        });
+    }
+
+    /**
+     * Fetch XMLTV document as text, unpacking gzip if needed
+     */
+    async function fetchXMLTV(url) {
+        var response = await fetch(url);
+
+        if (!response.ok) {
+            throw new Error('Failed to fetch guide: ' + response.status);
+        }
+
+        var bytes = new Uint8Array(await response.arrayBuffer());
+
+        // Gzip magic bytes (servers may also have decoded it already)
+        if (bytes.length > 2 && bytes[0] === 0x1f && bytes[1] === 0x8b) {
+            bytes = await gunzip(bytes);
+        }
+
+        return decodeXML(bytes);
+    }
+
+    /**
+     * Decompress gzip data
+     */
+    async function gunzip(bytes) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('Gzipped guides are not supported by this browser');
+        }
+
+        var stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+        var buffer = await new Response(stream).arrayBuffer();
+        return new Uint8Array(buffer);
+    }
+
+    /**
+     * Decode XML bytes using the encoding from the XML declaration
+     */
+    function decodeXML(bytes) {
+        var head = String.fromCharCode.apply(null, bytes.subarray(0, 200));
+        var match = head.match(/encoding=["']([\w-]+)["']/i);
+        var encoding = match ? match[1] : 'utf-8';
+
+        try {
+            return new TextDecoder(encoding).decode(bytes);
+        } catch (e) {
+            return new TextDecoder('utf-8').decode(bytes);
+        }
+    }
+
+    /**
+     * Parse XMLTV date (YYYYMMDDHHmmss +HHMM) into a timestamp
+     */
+    function parseXMLTVDate(value) {
+        var match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?\s*([+-]\d{4})?/.exec((value || '').trim());
+        if (!match) {
+            return null;
+        }
+
+        var time = Date.UTC(
+            parseInt(match[1], 10),
+            parseInt(match[2], 10) - 1,
+            parseInt(match[3], 10),
+            parseInt(match[4], 10),
+            parseInt(match[5], 10),
+            parseInt(match[6] || '0', 10)
+        );
+
+        if (match[7]) {
+            var sign = match[7].charAt(0) === '-' ? -1 : 1;
+            var offset = parseInt(match[7].substr(1, 2), 10) * 60 + parseInt(match[7].substr(3, 2), 10);
+            time -= sign * offset * 60000;
+        }
+
+        return time;
+    }
+
+    /**
+     * Parse XMLTV content
+     * @param {string} xml - XMLTV document
+     * @param {Object} [options] - { from, to } time window in ms
+     * @returns {Object} { channels: {id: {id, names, icon}}, programs: {id: [program]} }
+     */
+    function parseXMLTV(xml, options) {
+        options = options || {};
+
+        var doc = new DOMParser().parseFromString(xml, 'text/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Invalid XMLTV document');
+        }
+
+        var channels = {};
+        var programs = {};
+
+        var channelNodes = doc.getElementsByTagName('channel');
+        for (var i = 0; i < channelNodes.length; i++) {
+            var node = channelNodes[i];
+            var id = node.getAttribute('id');
+            if (!id) continue;
+
+            var names = [];
+            var nameNodes = node.getElementsByTagName('display-name');
+            for (var j = 0; j < nameNodes.length; j++) {
+                names.push(nameNodes[j].textContent.trim());
+            }
+
+            var icon = node.getElementsByTagName('icon')[0];
+            channels[id] = {
+                id: id,
+                names: names,
+                icon: icon ? icon.getAttribute('src') || '' : ''
+            };
+        }
+
+        var programNodes = doc.getElementsByTagName('programme');
+        for (var k = 0; k < programNodes.length; k++) {
+            var program = parseProgramme(programNodes[k]);
+            if (!program) continue;
+
+            if (options.from && program.stop < options.from) continue;
+            if (options.to && program.start > options.to) continue;
+
+            if (!programs[program.channel]) {
+                programs[program.channel] = [];
+            }
+            programs[program.channel].push(program);
+        }
+
+        for (var channelId in programs) {
+            programs[channelId].sort(function(a, b) {
+                return a.start - b.start;
+            });
+        }
+
+        return {
+            channels: channels,
+            programs: programs
+        };
+    }
+
+    /**
+     * Parse a <programme> element
+     */
+    function parseProgramme(node) {
+        var start = parseXMLTVDate(node.getAttribute('start'));
+        var stop = parseXMLTVDate(node.getAttribute('stop'));
+        var channel = node.getAttribute('channel');
+
+        if (!channel || start === null) {
+            return null;
+        }
+
+        return {
+            channel: channel,
+            start: start,
+            // Programmes without a stop time last until the next one starts
+            stop: stop !== null ? stop : start + 60 * 60 * 1000,
+            title: childText(node, 'title'),
+            desc: childText(node, 'desc'),
+            category: childText(node, 'category')
+        };
+    }
+
+    /**
+     * Get text of first child element with the given tag
+     */
+    function childText(node, tag) {
+        var child = node.getElementsByTagName(tag)[0];
+        return child ? child.textContent.trim() : '';
+    }
+
+    /**
+     * Normalize channel name for display-name matching
+     */
+    function normalizeName(name) {
+        return (name || '').toLowerCase().replace(/[^a-z0-9\u0600-\u06ff]+/g, '');
+    }
+
+    /**
+     * Get EPG channel id for a channel
+     */
+    function getChannelEPGId(channel) {
+        if (channel.tvgId) {
+            return channel.tvgId;
+        }
+        if (channel.epg_channel_id) {
+            return channel.epg_channel_id;
+        }
+
+        var mapped = getCache().channelMap[normalizeName(channel.tvgName || channel.name)];
+        if (mapped) {
+            return mapped;
+        }
+
+        // Xtream channels without a guide id keep their own program list
+        if (channel.stream_id) {
+            return 'xtream_' + channel.playlistId + '_' + channel.stream_id;
+        }
+
+        return '';
+    }
+
+    /**
+     * Get cached guide data
+     */
+    function getCache() {
+        if (!cache) {
+            cache = {
+                programs: IPTVStorage.getAllEPGPrograms(),
+                channelMap: IPTVStorage.getEPGChannelMap()
+            };
+        }
+        return cache;
+    }
+
+    /**
+     * Download and import one XMLTV source
+     * @returns {Promise<Object>} Updated source
+     */
+    async function loadSource(source) {
+        await IPTVStorage.ready();
+
+        var now = Date.now();
+        var xml = await fetchXMLTV(source.url);
+        var guide = parseXMLTV(xml, {
+            from: now - KEEP_PAST_MS,
+            to: now + KEEP_FUTURE_MS
+        });
+
+        // Only keep guide data for channels we actually have
+        var wantedIds = {};
+        var wantedNames = {};
+        IPTVStorage.getAllChannels().forEach(function(channel) {
+            if (channel.tvgId) wantedIds[channel.tvgId] = true;
+            if (channel.epg_channel_id) wantedIds[channel.epg_channel_id] = true;
+            wantedNames[normalizeName(channel.tvgName || channel.name)] = true;
+        });
+
+        var programs = {};
+        var nameMap = {};
+        var matched = 0;
+
+        for (var id in guide.channels) {
+            var byId = wantedIds[id] === true;
+            var byName = false;
+
+            guide.channels[id].names.forEach(function(name) {
+                var normalized = normalizeName(name);
+                if (normalized && wantedNames[normalized]) {
+                    nameMap[normalized] = id;
+                    byName = true;
+                }
+            });
+
+            if ((byId || byName) && guide.programs[id]) {
+                programs[id] = guide.programs[id].map(function(p) {
+                    return {
+                        start: p.start,
+                        stop: p.stop,
+                        title: p.title,
+                        desc: p.desc,
+                        category: p.category
+                    };
+                });
+                matched++;
+            }
+        }
+
+        IPTVStorage.saveEPGPrograms(programs);
+        IPTVStorage.saveEPGChannelMap(nameMap);
+        IPTVStorage.pruneEPGPrograms(now - KEEP_PAST_MS);
+        cache = null;
+
+        // The imported channel ids let deleting the source delete its programs
+        return IPTVStorage.updateEPGSource(source.id, {
+            lastUpdated: new Date().toISOString(),
+            channelCount: matched,
+            channelIds: Object.keys(programs),
+            lastError: null
+        });
+    }
+
+    /**
+     * Reload all enabled sources
+     * @returns {Promise<Object>} { loaded, failed }
+     */
+    async function refreshAll() {
+        var sources = IPTVStorage.getEPGSources();
+        var loaded = 0;
+        var failed = 0;
+
+        for (var i = 0; i < sources.length; i++) {
+            if (sources[i].enabled === false) continue;
+
+            try {
+                await loadSource(sources[i]);
+                loaded++;
+            } catch (e) {
+                console.error('Error loading EPG source ' + sources[i].name + ':', e);
+                IPTVStorage.updateEPGSource(sources[i].id, { lastError: e.message });
+                failed++;
+            }
+        }
+
+        return {
+            loaded: loaded,
+            failed: failed
+        };
+    }
+
+    /**
+     * Get the Xtream server a channel was loaded from
+     */
+    function getChannelServer(channel) {
+        if (!channel.stream_id) {
+            return null;
+        }
+
+        var server = IPTVStorage.getIPServerById(channel.playlistId);
+        return server && IPServerLoader.isXtream(server) ? server : null;
+    }
+
+    /**
+     * Check if programs can be fetched from the channel's Xtream server
+     */
+    function hasServerGuide(channel) {
+        return getChannelServer(channel) !== null;
+    }
+
+    /**
+     * Fetch programs for one channel from its Xtream server and store them
+     * @param {Object} channel - Channel with stream_id
+     * @param {boolean} [fullDay] - Load the full program table instead of the short EPG
+     * @returns {Promise<Array>} Stored programs for the channel
+     */
+    async function loadChannelPrograms(channel, fullDay) {
+        await IPTVStorage.ready();
+
+        var server = getChannelServer(channel);
+        if (!server) {
+            return getPrograms(channel);
+        }
+
+        var fetched = fullDay ?
+            await IPServerLoader.loadProgramTable(server, channel.stream_id) :
+            await IPServerLoader.loadShortEPG(server, channel.stream_id);
+
+        var epgId = getChannelEPGId(channel);
+        var programs = {};
+        programs[epgId] = mergePrograms(getPrograms(channel), fetched);
+
+        IPTVStorage.saveEPGPrograms(programs);
+        cache = null;
+
+        return programs[epgId];
+    }
+
+    /**
+     * Merge fetched programs into a stored list, replacing the fetched time range
+     */
+    function mergePrograms(existing, fetched) {
+        if (fetched.length === 0) {
+            return existing;
+        }
+
+        var from = fetched[0].start;
+        var to = fetched[fetched.length - 1].stop;
+
+        return existing.filter(function(p) {
+            return p.stop <= from || p.start >= to;
+        }).concat(fetched).sort(function(a, b) {
+            return a.start - b.start;
+        });
+    }
+
+    /**
+     * Get stored programs for a channel
+     */
+    function getPrograms(channel) {
+        var epgId = getChannelEPGId(channel);
+        return epgId ? getCache().programs[epgId] || [] : [];
+    }
+
+    /**
+     * Get current and next program for a channel
+     * @returns {Object|null} { now, next, progress } (progress 0..1)
+     */
+    function getNowNext(channel, time) {
+        time = time || Date.now();
+        var programs = getPrograms(channel);
+
+        for (var i = 0; i < programs.length; i++) {
+            var program = programs[i];
+            if (program.start <= time && program.stop > time) {
+                return {
+                    now: program,
+                    next: programs[i + 1] || null,
+                    progress: (time - program.start) / (program.stop - program.start)
+                };
+            }
+            if (program.start > time) {
+                return {
+                    now: null,
+                    next: program,
+                    progress: 0
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get programs overlapping a time range, with their position in it
+     * @returns {Array} Programs with offset and width in percent
+     */
+    function getTimeline(channel, from, to) {
+        var span = to - from;
+
+        return getPrograms(channel).filter(function(p) {
+            return p.stop > from && p.start < to;
+        }).map(function(p) {
+            var start = Math.max(p.start, from);
+            var stop = Math.min(p.stop, to);
+            return {
+                program: p,
+                offset: (start - from) / span * 100,
+                width: (stop - start) / span * 100
+            };
+        });
+    }
+
+    /**
+     * Format timestamp as HH:MM
+     */
+    function formatTime(time) {
+        var date = new Date(time);
+        return ('0' + date.getHours()).slice(-2) + ':' + ('0' + date.getMinutes()).slice(-2);
+    }
+
+    // Public API
+    return {
+        registerSource: registerSource,
+        parseXMLTV: parseXMLTV,
+        parseXMLTVDate: parseXMLTVDate,
+        loadSource: loadSource,
+        refreshAll: refreshAll,
+        getChannelEPGId: getChannelEPGId,
+        hasServerGuide: hasServerGuide,
+        loadChannelPrograms: loadChannelPrograms,
+        getPrograms: getPrograms,
+        getNowNext: getNowNext,
+        getTimeline: getTimeline,
+        formatTime: formatTime
+    };
+})();
@@ -0,0 +1,388 @@
+/**
+ * Health Checker
+ * Probes channel stream URLs and records whether they are online, with the latency
+ */
+
+var HealthChecker = (function() {
+    'use strict';
+
+    var DEFAULTS = {
+        concurrency: 2,
+        deadAfter: 3,
+        hideDead: false,
+        autoCheck: false
+    };
+
+    // A probe gives up after this long
+    var TIMEOUT = 8000;
+    // Bytes read from the start of a stream to check its format
+    var SAMPLE_SIZE = 1024;
+    // MPEG-TS packets are 188 bytes, each starting with this sync byte
+    var TS_SYNC_BYTE = 0x47;
+    var TS_PACKET_SIZE = 188;
+    // Automatic checks re-probe channels after this long, a few at a time
+    var AUTO_CHECK_AGE = 24 * 60 * 60 * 1000;
+    var AUTO_CHECK_LIMIT = 100;
+    // Results are saved in batches of this size while a check runs
+    var SAVE_BATCH = 10;
+
+    // Replaceable for testing against a stub server or in other runtimes
+    var fetchImpl = null;
+
+    /**
+     * Get health check settings
+     */
+    function getSettings() {
+        return Object.assign({}, DEFAULTS, IPTVStorage.getSettings().health || {});
+    }
+
+    /**
+     * Save health check settings
+     * @param {Object} changes - Fields to change
+     */
+    function saveSettings(changes) {
+        return IPTVStorage.saveSettings(Object.assign({}, IPTVStorage.getSettings(), {
+            health: Object.assign(getSettings(), changes)
+        }));
+    }
+
+    /**
+     * Use another fetch function for probes (null restores window.fetch)
+     */
+    function setFetch(fn) {
+        fetchImpl = fn;
+    }
+
+    /**
+     * Probe one stream URL
+     * @param {string} url - Stream URL
+     * @param {Object} [options] - headers, timeout (ms)
+     * @returns {Promise<Object>} { status: 'online'|'offline'|'unverified', httpStatus, contentType, latency, error }
+     */
+    async function probe(url, options) {
+        options = options || {};
+
+        var doFetch = fetchImpl || fetch;
+        var controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        var timer = setTimeout(function() {
+            if (controller) {
+                controller.abort();
+            }
+        }, options.timeout || TIMEOUT);
+        var start = Date.now();
+        var response;
+
+        try {
+            response = await doFetch(url, {
+                headers: options.headers || {},
+                cache: 'no-store',
+                signal: controller ? controller.signal : undefined
+            });
+        } catch (error) {
+            clearTimeout(timer);
+            if (error && error.name === 'AbortError') {
+                return result('offline', null, 'Timed out');
+            }
+            return await probeOpaque(doFetch, url, options, start, error);
+        }
+
+        var latency = Date.now() - start;
+        var contentType = (response.headers.get('content-type') || '').toLowerCase();
+
+        try {
+            if (!response.ok) {
+                return result('offline', response, 'HTTP ' + response.status, latency);
+            }
+
+            var sample = await readSample(response);
+            var error = checkSample(url, contentType, sample);
+            return result(error ? 'offline' : 'online', response, error, latency);
+        } catch (e) {
+            return result('offline', response, e.name === 'AbortError' ? 'Timed out' : e.message, latency);
+        } finally {
+            clearTimeout(timer);
+            if (controller) {
+                controller.abort();
+            }
+        }
+    }
+
+    /**
+     * Retry a failed request without CORS: the video player does not need CORS,
+     * so a server that answers but cannot be read is not counted as dead
+     * The channel headers are sent again; in no-cors mode the browser drops those
+     * it does not allow (Referer and User-Agent cannot be set by pages anyway).
+     * The request has the same timeout and is aborted once the answer arrives, so
+     * a live stream does not keep downloading and holding a connection.
+     */
+    async function probeOpaque(doFetch, url, options, start, error) {
+        var controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        var timer = setTimeout(function() {
+            if (controller) {
+                controller.abort();
+            }
+        }, options.timeout || TIMEOUT);
+
+        try {
+            await doFetch(url, {
+                mode: 'no-cors',
+                headers: options.headers || {},
+                cache: 'no-store',
+                signal: controller ? controller.signal : undefined
+            });
+            return result('unverified', null, 'Server does not allow reading the stream (CORS)', Date.now() - start);
+        } catch (e) {
+            if (e && e.name === 'AbortError') {
+                return result('offline', null, 'Timed out');
+            }
+            return result('offline', null, error && error.message ? error.message : 'Network error');
+        } finally {
+            clearTimeout(timer);
+            if (controller) {
+                controller.abort();
+            }
+        }
+    }
+
+    function result(status, response, error, latency) {
+        return {
+            status: status,
+            httpStatus: response ? response.status : null,
+            contentType: response ? response.headers.get('content-type') || '' : '',
+            latency: typeof latency === 'number' ? latency : null,
+            error: error || null
+        };
+    }
+
+    /**
+     * Read the first bytes of a response, then stop the download
+     * @returns {Promise<Uint8Array|null>} Null when the body cannot be streamed
+     */
+    async function readSample(response) {
+        if (!response.body || !response.body.getReader) {
+            return null;
+        }
+
+        var reader = response.body.getReader();
+        var chunks = [];
+        var length = 0;
+
+        while (length < SAMPLE_SIZE) {
+            var chunk = await reader.read();
+            if (chunk.done) {
+                break;
+            }
+            chunks.push(chunk.value);
+            length += chunk.value.length;
+        }
+        reader.cancel().catch(function() {});
+
+        var sample = new Uint8Array(length);
+        var offset = 0;
+        chunks.forEach(function(value) {
+            sample.set(value, offset);
+            offset += value.length;
+        });
+        return sample;
+    }
+
+    /**
+     * Check that the start of a response looks like a stream
+     * @returns {string|null} Error, or null if the stream looks valid
+     */
+    function checkSample(url, contentType, sample) {
+        var path = url.split('?')[0].toLowerCase();
+
+        if (/mpegurl/.test(contentType) || /\.m3u8?$/.test(path)) {
+            if (!sample) {
+                return null;
+            }
+            var text = decodeText(sample).replace(/^\uFEFF/, '').trim();
+            return text.indexOf('#EXTM3U') === 0 ? null : 'Invalid HLS manifest';
+        }
+
+        if (/mp2t/.test(contentType) || /\.ts$/.test(path)) {
+            if (!sample) {
+                return null;
+            }
+            if (sample.length === 0 || sample[0] !== TS_SYNC_BYTE ||
+                (sample.length > TS_PACKET_SIZE && sample[TS_PACKET_SIZE] !== TS_SYNC_BYTE)) {
+                return 'No MPEG-TS sync byte';
+            }
+            return null;
+        }
+
+        if (/text\/html/.test(contentType)) {
+            return 'Not a stream (HTML page)';
+        }
+        if (sample && sample.length === 0) {
+            return 'Empty response';
+        }
+        return null;
+    }
+
+    function decodeText(bytes) {
+        if (typeof TextDecoder !== 'undefined') {
+            return new TextDecoder('utf-8').decode(bytes);
+        }
+        return String.fromCharCode.apply(null, bytes);
+    }
+
+    /**
+     * Probe channels and save the results on them
+     * Results are saved every few channels, so a stopped or closed check keeps what it found.
+     * @param {Array} channels - Channels to check
+     * @param {Object} [options] - concurrency, onProgress(done, total, channel, health), signal (AbortSignal to stop)
+     * @returns {Promise<Object>} { checked, online, offline, unverified } counts
+     */
+    async function checkChannels(channels, options) {
+        options = options || {};
+        await IPTVStorage.ready();
+
+        var concurrency = options.concurrency || getSettings().concurrency;
+        var summary = { checked: 0, online: 0, offline: 0, unverified: 0 };
+        var changes = {};
+        var pending = 0;
+        var next = 0;
+
+        function save() {
+            if (pending > 0) {
+                IPTVStorage.updateChannels(changes);
+                changes = {};
+                pending = 0;
+            }
+        }
+
+        async function worker() {
+            while (next < channels.length && !(options.signal && options.signal.aborted)) {
+                var channel = channels[next++];
+                var health = await checkChannel(channel);
+
+                changes[channel.id] = { health: health };
+                summary.checked++;
+                summary[health.status]++;
+
+                if (++pending >= SAVE_BATCH) {
+                    save();
+                }
+
+                if (options.onProgress) {
+                    options.onProgress(summary.checked, channels.length, channel, health);
+                }
+            }
+        }
+
+        var workers = [];
+        for (var i = 0; i < Math.min(concurrency, channels.length); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        save();
+        await IPTVStorage.flush();
+        return summary;
+    }
+
+    /**
+     * Probe one channel
+     * @returns {Promise<Object>} Health record with checkedAt and failures (offline runs in a row)
+     */
+    async function checkChannel(channel) {
+        var health;
+
+        try {
+            // Stalker channels get a fresh link for every play
+            var url = typeof IPServerLoader !== 'undefined' ? await IPServerLoader.resolveStreamUrl(channel) : channel.url;
+            health = await probe(url, { headers: channel.headers });
+        } catch (e) {
+            health = result('offline', null, e.message);
+        }
+
+        return withHistory(channel, health);
+    }
+
+    /**
+     * Add checkedAt and failures (offline runs in a row) to a probe result
+     */
+    function withHistory(channel, health) {
+        var failures = channel.health ? channel.health.failures || 0 : 0;
+        health.failures = health.status === 'offline' ? failures + 1 : health.status === 'online' ? 0 : failures;
+        health.checkedAt = new Date().toISOString();
+        return health;
+    }
+
+    /**
+     * Check channels not probed within the last day, if automatic checks are on
+     * @returns {Promise<Object|null>} Summary, or null when nothing was checked
+     */
+    async function checkDue() {
+        if (!getSettings().autoCheck) {
+            return null;
+        }
+        await IPTVStorage.ready();
+
+        var now = Date.now();
+        var due = IPTVStorage.getAllChannels().filter(function(c) {
+            return !c.health || now - new Date(c.health.checkedAt).getTime() >= AUTO_CHECK_AGE;
+        }).slice(0, AUTO_CHECK_LIMIT);
+
+        return due.length > 0 ? await checkChannels(due) : null;
+    }
+
+    /**
+     * Check if a channel was offline in the last deadAfter runs
+     */
+    function isDead(channel) {
+        return isDeadAfter(channel, getSettings().deadAfter);
+    }
+
+    function isDeadAfter(channel, deadAfter) {
+        return !!channel.health && channel.health.failures >= deadAfter;
+    }
+
+    /**
+     * Get the check for dead channels to leave out of the channel pages
+     * Settings are read once here instead of once per channel.
+     * @returns {Function|null} Predicate, or null when dead channels are shown
+     */
+    function getHiddenDeadFilter() {
+        var settings = getSettings();
+        if (!settings.hideDead) {
+            return null;
+        }
+
+        return function(channel) {
+            return isDeadAfter(channel, settings.deadAfter);
+        };
+    }
+
+    /**
+     * Delete dead channels
+     * @returns {number} Deleted channels
+     */
+    function pruneDead() {
+        var deadAfter = getSettings().deadAfter;
+        var ids = IPTVStorage.getAllChannels().filter(function(c) {
+            return isDeadAfter(c, deadAfter);
+        }).map(function(c) {
+            return c.id;
+        });
+        return ids.length > 0 ? IPTVStorage.removeChannels(ids) : 0;
+    }
+
+    // Public API
+    return {
+        getSettings: getSettings,
+        saveSettings: saveSettings,
+        setFetch: setFetch,
+        probe: probe,
+        checkSample: checkSample,
+        checkChannels: checkChannels,
+        checkChannel: checkChannel,
+        withHistory: withHistory,
+        checkDue: checkDue,
+        isDead: isDead,
+        getHiddenDeadFilter: getHiddenDeadFilter,
+        pruneDead: pruneDead
+    };
+})();
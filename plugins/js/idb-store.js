@@ -0,0 +1,196 @@
+/**
+ * IndexedDB Store
+ * Thin promise wrapper around the IndexedDB database that holds the large collections
+ */
+
+var IDBStore = (function() {
+    'use strict';
+
+    var DB_NAME = 'iptv_player';
+    var DB_VERSION = 1;
+
+    /**
+     * Schema migrations, keyed by the version they upgrade to
+     * Opening an older database runs every step after its stored version
+     */
+    var MIGRATIONS = {
+        1: function(db) {
+            var channels = db.createObjectStore('channels', { keyPath: 'id' });
+            channels.createIndex('playlistId', 'playlistId');
+            channels.createIndex('category', 'category');
+            channels.createIndex('tvgId', 'tvgId');
+
+            db.createObjectStore('movies', { keyPath: 'id' }).createIndex('serverId', 'serverId');
+            db.createObjectStore('series', { keyPath: 'id' }).createIndex('serverId', 'serverId');
+            db.createObjectStore('epg_programs', { keyPath: 'epgId' });
+        }
+    };
+
+    var dbPromise = null;
+
+    /**
+     * Check if IndexedDB is available
+     */
+    function isSupported() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * Open database, running schema migrations when needed
+     * @returns {Promise<IDBDatabase>}
+     */
+    function open() {
+        if (dbPromise) {
+            return dbPromise;
+        }
+
+        dbPromise = new Promise(function(resolve, reject) {
+            var request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = function(event) {
+                for (var version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+                    MIGRATIONS[version](request.result, request.transaction);
+                }
+            };
+            request.onsuccess = function() {
+                resolve(request.result);
+            };
+            request.onerror = function() {
+                reject(request.error);
+            };
+            request.onblocked = function() {
+                reject(new Error('Database is open in another tab with an older version'));
+            };
+        });
+
+        // Allow a later retry if opening failed
+        dbPromise.catch(function() {
+            dbPromise = null;
+        });
+
+        return dbPromise;
+    }
+
+    /**
+     * Run work in a transaction
+     * @param {string} storeName - Object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Called with the object store; its return value is resolved
+     * @returns {Promise<*>} Resolves when the transaction completes
+     */
+    async function run(storeName, mode, work) {
+        var db = await open();
+
+        return new Promise(function(resolve, reject) {
+            var tx = db.transaction(storeName, mode);
+            var result = work(tx.objectStore(storeName));
+
+            tx.oncomplete = function() {
+                resolve(result instanceof IDBRequest ? result.result : result);
+            };
+            tx.onerror = function() {
+                reject(tx.error);
+            };
+            tx.onabort = function() {
+                reject(tx.error || new Error('Transaction aborted'));
+            };
+        });
+    }
+
+    /**
+     * Get all records of a store
+     */
+    function getAll(storeName) {
+        return run(storeName, 'readonly', function(store) {
+            return store.getAll();
+        });
+    }
+
+    /**
+     * Get records matching an index value
+     */
+    function getAllByIndex(storeName, indexName, value) {
+        return run(storeName, 'readonly', function(store) {
+            return store.index(indexName).getAll(value);
+        });
+    }
+
+    /**
+     * Insert or update records
+     */
+    function putAll(storeName, records) {
+        return run(storeName, 'readwrite', function(store) {
+            records.forEach(function(record) {
+                store.put(record);
+            });
+        });
+    }
+
+    /**
+     * Replace all records of a store
+     */
+    function replaceAll(storeName, records) {
+        return run(storeName, 'readwrite', function(store) {
+            store.clear();
+            records.forEach(function(record) {
+                store.put(record);
+            });
+        });
+    }
+
+    /**
+     * Replace the records matching an index value (e.g. all channels of one playlist)
+     */
+    function replaceByIndex(storeName, indexName, value, records) {
+        return run(storeName, 'readwrite', function(store) {
+            var request = store.index(indexName).openKeyCursor(IDBKeyRange.only(value));
+
+            // Deletes are queued before the puts, so replaced records survive
+            request.onsuccess = function() {
+                var cursor = request.result;
+                if (cursor) {
+                    store.delete(cursor.primaryKey);
+                    cursor.continue();
+                } else {
+                    records.forEach(function(record) {
+                        store.put(record);
+                    });
+                }
+            };
+        });
+    }
+
+    /**
+     * Delete records by key
+     */
+    function deleteAll(storeName, keys) {
+        return run(storeName, 'readwrite', function(store) {
+            keys.forEach(function(key) {
+                store.delete(key);
+            });
+        });
+    }
+
+    /**
+     * Remove all records of a store
+     */
+    function clear(storeName) {
+        return run(storeName, 'readwrite', function(store) {
+            store.clear();
+        });
+    }
+
+    // Public API
+    return {
+        DB_VERSION: DB_VERSION,
+        isSupported: isSupported,
+        open: open,
+        getAll: getAll,
+        getAllByIndex: getAllByIndex,
+        putAll: putAll,
+        replaceAll: replaceAll,
+        replaceByIndex: replaceByIndex,
+        deleteAll: deleteAll,
+        clear: clear
+    };
+})();
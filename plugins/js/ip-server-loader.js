@@ -6,19 +6,26 @@
 var IPServerLoader = (function() {
     'use strict';
 
+    // Control characters other than tab and line breaks, never found in EPG text
+    var CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/;
+
     /**
      * Load channels from server
      * @param {Object} serverInfo - Server configuration
      * @returns {Promise<Array>} Array of channels
      */
     async function loadChannels(serverInfo) {
-        // Build base URL
-        var baseUrl = serverInfo.protocol + '://' + serverInfo.ip + ':' + serverInfo.port;
+        // MAC-authenticated Ministra/Stalker portal
+        if (serverInfo.sourceType === 'stalker') {
+            return await StalkerPortal.loadChannels(serverInfo);
+        }
+
+        var baseUrl = getBaseUrl(serverInfo);
         var apiPath = serverInfo.apiPath || '/player_api.php';
 
         // Try Xtream Codes API first
         if (apiPath.includes('player_api')) {
-            return await loadXtreamChannels(baseUrl, apiPath, serverInfo.username, serverInfo.password);
+            return await loadXtreamChannels(serverInfo, apiPath);
         }
 
         // Try M3U endpoint
@@ -28,7 +35,7 @@ var IPServerLoader = (function() {
 
         // Default: try both methods
         try {
-            return await loadXtreamChannels(baseUrl, '/player_api.php', serverInfo.username, serverInfo.password);
+            return await loadXtreamChannels(serverInfo, '/player_api.php');
         } catch (e) {
             return await loadM3UFromServer(baseUrl, '/get.php', serverInfo.username, serverInfo.password);
         }
@@ -37,19 +44,12 @@ var IPServerLoader = (function() {
     /**
      * Load channels using Xtream Codes API
      */
-    async function loadXtreamChannels(baseUrl, apiPath, username, password) {
-        var url = baseUrl + apiPath +
-                 '?username=' + encodeURIComponent(username) +
-                 '&password=' + encodeURIComponent(password) +
-                 '&action=get_live_streams';
+    async function loadXtreamChannels(serverInfo, apiPath) {
+        var xtreamInfo = Object.assign({}, serverInfo, { apiPath: apiPath });
 
-        var response = await fetch(url);
-
-        if (!response.ok) {
-            throw new Error('Server returned error: ' + response.status);
-        }
-
-        var data = await response.json();
+        // get_live_streams only carries category ids, names come from get_live_categories
+        var categories = await loadCategories(xtreamInfo, 'get_live_categories');
+        var data = await fetchJSON(buildApiUrl(xtreamInfo, 'get_live_streams'));
 
         if (!data || !Array.isArray(data)) {
             throw new Error('Invalid response from server');
@@ -57,15 +57,34 @@ var IPServerLoader = (function() {
 
         // Convert Xtream format to channel format
         var channels = data.map(function(stream) {
-            var streamUrl = baseUrl + '/live/' + username + '/' + password + '/' + stream.stream_id + '.ts';
+            var categoryIds = Array.isArray(stream.category_ids) && stream.category_ids.length > 0 ?
+                stream.category_ids.map(String) :
+                stream.category_id ? [String(stream.category_id)] : [];
+            var known = categoryIds.filter(function(id) {
+                return categories[id];
+            });
+            var primary = categories[categoryIds[0]];
 
             return {
                 name: stream.name || 'Unknown Channel',
-                url: streamUrl,
+                url: buildStreamUrl(xtreamInfo, 'live', stream.stream_id, getLiveExtension(serverInfo)),
                 logo: stream.stream_icon || '',
-                category: stream.category_name || 'Uncategorized',
+                category: primary ? primary.name : stream.category_name || 'Uncategorized',
+                categoryId: categoryIds[0] || '',
+                categoryIds: categoryIds,
+                categories: known.map(function(id) {
+                    return categories[id].name;
+                }),
+                categoryOrders: known.map(function(id) {
+                    return categories[id].order;
+                }),
                 epg_channel_id: stream.epg_channel_id || '',
-                stream_id: stream.stream_id
+                stream_id: stream.stream_id,
+                // Archive (catch-up) through the Xtream timeshift endpoint
+                catchup: stream.tv_archive === 1 || stream.tv_archive === '1' ? 'xc' : '',
+                catchupDays: parseInt(stream.tv_archive_duration, 10) || 0,
+                // Locked by parental control
+                adult: stream.is_adult === 1 || stream.is_adult === '1'
             };
         });
 
@@ -88,80 +107,491 @@ var IPServerLoader = (function() {
         }
 
         var m3uContent = await response.text();
+        return M3UParser.parse(m3uContent);
+    }
+
+    /**
+     * Test server connection
+     * Xtream servers answer invalid logins with HTTP 200, so their account is checked
+     */
+    async function testConnection(serverInfo) {
+        var baseUrl = getBaseUrl(serverInfo);
+        var apiPath = serverInfo.apiPath || '/player_api.php';
+
+        var url = baseUrl + apiPath +
+                 '?username=' + encodeURIComponent(serverInfo.username) +
+                 '&password=' + encodeURIComponent(serverInfo.password);
+
+        try {
+            if (isXtream(serverInfo)) {
+                var account = await getAccountInfo(serverInfo);
+                return validateAccount(account) === null;
+            }
 
-        // Use existing M3U parser if available
-        if (typeof M3UParser !== 'undefined' && M3UParser.parse) {
-            return M3UParser.parse(m3uContent);
+            var response = await fetch(url);
+            return response.ok;
+        } catch (e) {
+            return false;
         }
+    }
 
-        // Simple M3U parser fallback
-        return parseSimpleM3U(m3uContent);
+    /**
+     * Get Xtream account status from player_api.php (user_info and server_info)
+     * @param {Object} serverInfo - Server configuration
+     * @returns {Promise<Object>} Account info
+     */
+    async function getAccountInfo(serverInfo) {
+        var url = getBaseUrl(serverInfo) + (serverInfo.apiPath || '/player_api.php') +
+                  '?username=' + encodeURIComponent(serverInfo.username) +
+                  '&password=' + encodeURIComponent(serverInfo.password);
+
+        var data = await fetchJSON(url);
+
+        // Some panels answer a failed login with an empty array
+        if (Array.isArray(data) || (data && data.user_info === undefined && data.auth === 0)) {
+            return { auth: false, status: '', checkedAt: new Date().toISOString() };
+        }
+
+        if (!data || !data.user_info) {
+            throw new Error('Not an Xtream Codes server');
+        }
+
+        var user = data.user_info;
+        var server = data.server_info || {};
+        var expDate = parseInt(user.exp_date, 10);
+        var formats = user.allowed_output_formats;
+
+        return {
+            auth: user.auth === 1 || user.auth === '1',
+            status: user.status || '',
+            // null means the subscription never expires
+            expDate: expDate > 0 ? expDate * 1000 : null,
+            isTrial: user.is_trial === 1 || user.is_trial === '1',
+            activeConnections: parseInt(user.active_cons, 10) || 0,
+            maxConnections: parseInt(user.max_connections, 10) || 0,
+            allowedOutputFormats: Array.isArray(formats) ? formats : [],
+            timezone: server.timezone || '',
+            serverTime: server.timestamp_now ? parseInt(server.timestamp_now, 10) * 1000 : null,
+            checkedAt: new Date().toISOString()
+        };
     }
 
     /**
-     * Simple M3U parser (fallback)
+     * Check an account for problems that prevent watching
+     * @returns {string|null} Error message, or null if the account is usable
      */
-    function parseSimpleM3U(content) {
-        var channels = [];
-        var lines = content.split('\n');
-        var currentChannel = null;
+    function validateAccount(account) {
+        if (!account.auth) {
+            return 'Invalid username or password';
+        }
 
-        for (var i = 0; i < lines.length; i++) {
-            var line = lines[i].trim();
+        var status = (account.status || '').toLowerCase();
+        if (status && status !== 'active') {
+            return 'Account is ' + account.status;
+        }
 
-            if (line.startsWith('#EXTINF:')) {
-                currentChannel = {};
+        if (account.expDate && account.expDate < Date.now()) {
+            return 'Subscription expired on ' + new Date(account.expDate).toLocaleDateString();
+        }
 
-                // Extract channel name (after last comma)
-                var nameParts = line.split(',');
-                currentChannel.name = nameParts[nameParts.length - 1].trim();
+        return null;
+    }
 
-                // Extract logo
-                var logoMatch = line.match(/tvg-logo="([^"]*)"/);
-                if (logoMatch) {
-                    currentChannel.logo = logoMatch[1];
-                }
+    /**
+     * Get warning for an account that is expired, about to expire or at its connection limit
+     * @param {Object} account - Account info from getAccountInfo
+     * @param {number} [days] - Warn this many days before expiry (default 7)
+     * @returns {string|null} Warning message
+     */
+    function getAccountWarning(account, days) {
+        if (!account) {
+            return null;
+        }
 
-                // Extract category
-                var groupMatch = line.match(/group-title="([^"]*)"/);
-                if (groupMatch) {
-                    currentChannel.category = groupMatch[1];
-                } else {
-                    currentChannel.category = 'Uncategorized';
-                }
+        var error = validateAccount(account);
+        if (error) {
+            return error;
+        }
 
-            } else if (line && !line.startsWith('#') && currentChannel) {
-                currentChannel.url = line;
-                channels.push(currentChannel);
-                currentChannel = null;
+        if (account.expDate) {
+            var remaining = Math.ceil((account.expDate - Date.now()) / (24 * 60 * 60 * 1000));
+            if (remaining <= (days || 7)) {
+                return 'Subscription expires in ' + remaining + (remaining === 1 ? ' day' : ' days');
             }
         }
 
-        return channels;
+        if (account.maxConnections && account.activeConnections >= account.maxConnections) {
+            return 'All ' + account.maxConnections + ' connections are in use';
+        }
+
+        return null;
     }
 
     /**
-     * Test server connection
+     * Pick live stream extension from the account's allowed output formats
      */
-    async function testConnection(serverInfo) {
-        var baseUrl = serverInfo.protocol + '://' + serverInfo.ip + ':' + serverInfo.port;
-        var apiPath = serverInfo.apiPath || '/player_api.php';
+    function getLiveExtension(serverInfo) {
+        var formats = serverInfo.account ? serverInfo.account.allowedOutputFormats : [];
 
-        var url = baseUrl + apiPath +
-                 '?username=' + encodeURIComponent(serverInfo.username) +
-                 '&password=' + encodeURIComponent(serverInfo.password);
+        if (formats && formats.length > 0 && formats.indexOf('ts') === -1 && formats.indexOf('m3u8') !== -1) {
+            return 'm3u8';
+        }
+        return 'ts';
+    }
+
+    /**
+     * Load movies using Xtream Codes API
+     * @param {Object} serverInfo - Server configuration
+     * @returns {Promise<Array>} Array of movies
+     */
+    async function loadXtreamMovies(serverInfo) {
+        var categories = await loadCategories(serverInfo, 'get_vod_categories');
+        var data = await fetchJSON(buildApiUrl(serverInfo, 'get_vod_streams'));
+
+        if (!Array.isArray(data)) {
+            throw new Error('Invalid response from server');
+        }
+
+        return data.map(function(stream) {
+            var extension = stream.container_extension || 'mp4';
+
+            return {
+                type: 'movie',
+                name: stream.name || 'Unknown Movie',
+                url: buildStreamUrl(serverInfo, 'movie', stream.stream_id, extension),
+                logo: stream.stream_icon || '',
+                category: getCategoryName(categories, stream.category_id),
+                categoryId: stream.category_id || '',
+                rating: stream.rating || '',
+                added: stream.added || '',
+                containerExtension: extension,
+                stream_id: stream.stream_id
+            };
+        });
+    }
+
+    /**
+     * Load movie details (plot, cast, etc.)
+     * @returns {Promise<Object>} Movie info
+     */
+    async function loadMovieInfo(serverInfo, vodId) {
+        var data = await fetchJSON(buildApiUrl(serverInfo, 'get_vod_info', { vod_id: vodId }));
+        var info = (data && data.info) || {};
+
+        return {
+            plot: info.plot || info.description || '',
+            cast: info.cast || info.actors || '',
+            director: info.director || '',
+            genre: info.genre || '',
+            releaseDate: info.releasedate || info.release_date || '',
+            duration: info.duration || '',
+            rating: info.rating || '',
+            image: info.movie_image || info.cover_big || '',
+            backdrop: Array.isArray(info.backdrop_path) ? info.backdrop_path[0] || '' : info.backdrop_path || ''
+        };
+    }
+
+    /**
+     * Load series list using Xtream Codes API
+     * @returns {Promise<Array>} Array of series
+     */
+    async function loadXtreamSeries(serverInfo) {
+        var categories = await loadCategories(serverInfo, 'get_series_categories');
+        var data = await fetchJSON(buildApiUrl(serverInfo, 'get_series'));
+
+        if (!Array.isArray(data)) {
+            throw new Error('Invalid response from server');
+        }
+
+        return data.map(function(series) {
+            return {
+                type: 'series',
+                name: series.name || 'Unknown Series',
+                logo: series.cover || '',
+                category: getCategoryName(categories, series.category_id),
+                categoryId: series.category_id || '',
+                plot: series.plot || '',
+                genre: series.genre || '',
+                releaseDate: series.releaseDate || series.release_date || '',
+                rating: series.rating || '',
+                series_id: series.series_id
+            };
+        });
+    }
+
+    /**
+     * Load seasons and episodes of a series
+     * @returns {Promise<Object>} { info, seasons: [{ number, name, cover, episodes }] }
+     */
+    async function loadSeriesInfo(serverInfo, seriesId) {
+        var data = await fetchJSON(buildApiUrl(serverInfo, 'get_series_info', { series_id: seriesId }));
+
+        if (!data || !data.episodes) {
+            throw new Error('Invalid response from server');
+        }
+
+        var seasonInfo = {};
+        (data.seasons || []).forEach(function(season) {
+            seasonInfo[season.season_number] = season;
+        });
+
+        var seasons = Object.keys(data.episodes).map(function(number) {
+            var info = seasonInfo[number] || {};
+
+            return {
+                number: parseInt(number, 10),
+                name: info.name || 'Season ' + number,
+                cover: info.cover || info.cover_big || '',
+                episodes: data.episodes[number].map(function(episode) {
+                    var episodeInfo = episode.info || {};
+                    var extension = episode.container_extension || 'mp4';
+
+                    return {
+                        id: episode.id,
+                        number: parseInt(episode.episode_num, 10),
+                        title: episode.title || 'Episode ' + episode.episode_num,
+                        url: buildStreamUrl(serverInfo, 'series', episode.id, extension),
+                        plot: episodeInfo.plot || '',
+                        duration: episodeInfo.duration || '',
+                        image: episodeInfo.movie_image || ''
+                    };
+                }).sort(function(a, b) {
+                    return a.number - b.number;
+                })
+            };
+        }).sort(function(a, b) {
+            return a.number - b.number;
+        });
+
+        var info = data.info || {};
+
+        return {
+            info: {
+                name: info.name || '',
+                plot: info.plot || '',
+                cast: info.cast || '',
+                genre: info.genre || '',
+                releaseDate: info.releaseDate || info.release_date || '',
+                rating: info.rating || '',
+                cover: info.cover || ''
+            },
+            seasons: seasons
+        };
+    }
+
+    /**
+     * Load categories for an Xtream category action
+     * Fails like the stream list does, so a refresh never saves every channel as "Uncategorized"
+     * @returns {Promise<Object>} Map of category id → { name, order } in server order
+     */
+    async function loadCategories(serverInfo, action) {
+        var categories = {};
+        var data = await fetchJSON(buildApiUrl(serverInfo, action));
+
+        // Panels answer an object (e.g. user_info) when the request is refused
+        if (data && !Array.isArray(data)) {
+            throw new Error('Invalid response from server');
+        }
+
+        (data || []).forEach(function(category, index) {
+            categories[String(category.category_id)] = {
+                name: category.category_name,
+                order: index
+            };
+        });
+
+        return categories;
+    }
+
+    /**
+     * Get category name from a loadCategories map
+     */
+    function getCategoryName(categories, id) {
+        var category = categories[String(id)];
+        return category ? category.name : 'Uncategorized';
+    }
+
+    /**
+     * Build Xtream stream URL (live, movie or series)
+     */
+    function buildStreamUrl(serverInfo, kind, id, extension) {
+        return getBaseUrl(serverInfo) + '/' + kind + '/' +
+               serverInfo.username + '/' + serverInfo.password + '/' + id + '.' + extension;
+    }
+
+    /**
+     * Fetch JSON from server
+     */
+    async function fetchJSON(url) {
+        var response = await fetch(url);
+
+        if (!response.ok) {
+            throw new Error('Server returned error: ' + response.status);
+        }
+
+        return await response.json();
+    }
+
+    /**
+     * Build Xtream Codes API URL for an action
+     */
+    function buildApiUrl(serverInfo, action, params) {
+        var url = getBaseUrl(serverInfo) + (serverInfo.apiPath || '/player_api.php') +
+                  '?username=' + encodeURIComponent(serverInfo.username) +
+                  '&password=' + encodeURIComponent(serverInfo.password) +
+                  '&action=' + action;
+
+        for (var key in params || {}) {
+            url += '&' + key + '=' + encodeURIComponent(params[key]);
+        }
+
+        return url;
+    }
+
+    /**
+     * Load short EPG (current and upcoming programs) for a stream
+     * @param {Object} serverInfo - Server configuration
+     * @param {number} streamId - Xtream stream_id
+     * @param {number} [limit] - Number of programs
+     * @returns {Promise<Array>} Programs
+     */
+    async function loadShortEPG(serverInfo, streamId, limit) {
+        var params = { stream_id: streamId };
+        if (limit) {
+            params.limit = limit;
+        }
+
+        return await loadEPGListings(buildApiUrl(serverInfo, 'get_short_epg', params));
+    }
+
+    /**
+     * Load full program table (all days the server has) for a stream
+     * @returns {Promise<Array>} Programs
+     */
+    async function loadProgramTable(serverInfo, streamId) {
+        return await loadEPGListings(buildApiUrl(serverInfo, 'get_simple_data_table', { stream_id: streamId }));
+    }
+
+    /**
+     * Fetch and convert Xtream epg_listings
+     */
+    async function loadEPGListings(url) {
+        var data = await fetchJSON(url);
+
+        if (!data || !Array.isArray(data.epg_listings)) {
+            return [];
+        }
+
+        return data.epg_listings.map(function(listing) {
+            return {
+                start: parseInt(listing.start_timestamp, 10) * 1000,
+                stop: parseInt(listing.stop_timestamp, 10) * 1000,
+                title: decodeBase64(listing.title),
+                desc: decodeBase64(listing.description),
+                category: '',
+                hasArchive: listing.has_archive === 1 || listing.has_archive === '1'
+            };
+        }).filter(function(program) {
+            return !isNaN(program.start) && !isNaN(program.stop);
+        }).sort(function(a, b) {
+            return a.start - b.start;
+        });
+    }
+
+    /**
+     * Decode base64 UTF-8 text (Xtream encodes EPG titles and descriptions)
+     */
+    function decodeBase64(value) {
+        if (!value) {
+            return '';
+        }
 
         try {
-            var response = await fetch(url);
-            return response.ok;
+            var binary = atob(value);
+            var bytes = new Uint8Array(binary.length);
+            for (var i = 0; i < binary.length; i++) {
+                bytes[i] = binary.charCodeAt(i);
+            }
+            var text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            // Plain text that happens to be valid base64 ("News") decodes to bytes that are not text
+            return CONTROL_CHARACTERS.test(text) ? value : text;
         } catch (e) {
+            // Some panels send plain text
+            return value;
+        }
+    }
+
+    /**
+     * Build base URL (protocol://ip:port)
+     */
+    function getBaseUrl(serverInfo) {
+        return serverInfo.protocol + '://' + serverInfo.ip + ':' + serverInfo.port;
+    }
+
+    /**
+     * Check if server uses the Xtream Codes API
+     */
+    function isXtream(serverInfo) {
+        return serverInfo.sourceType !== 'stalker' &&
+               (serverInfo.apiPath || '/player_api.php').includes('player_api');
+    }
+
+    /**
+     * Check if a channel comes from a Stalker portal
+     * Its saved URL is only the portal command and cannot be played directly
+     */
+    function isPortalChannel(channel) {
+        if (!channel.cmd) {
             return false;
         }
+
+        var server = IPTVStorage.getIPServerById(channel.playlistId);
+        return !!server && server.sourceType === 'stalker';
+    }
+
+    /**
+     * Get playable URL for a channel
+     * Portal channels need a fresh link from the portal every time they are played
+     * @returns {Promise<string>} Stream URL
+     */
+    async function resolveStreamUrl(channel) {
+        if (!isPortalChannel(channel)) {
+            return channel.url;
+        }
+
+        return await StalkerPortal.createLink(IPTVStorage.getIPServerById(channel.playlistId), channel.cmd);
+    }
+
+    /**
+     * Get XMLTV guide URL of an Xtream Codes server
+     * @returns {string|null} xmltv.php URL, or null for non-Xtream servers
+     */
+    function getXMLTVUrl(serverInfo) {
+        if (!isXtream(serverInfo)) {
+            return null;
+        }
+
+        return getBaseUrl(serverInfo) + '/xmltv.php' +
+               '?username=' + encodeURIComponent(serverInfo.username) +
+               '&password=' + encodeURIComponent(serverInfo.password);
     }
 
     // Public API
     return {
         loadChannels: loadChannels,
-        testConnection: testConnection
+        testConnection: testConnection,
+        getAccountInfo: getAccountInfo,
+        validateAccount: validateAccount,
+        getAccountWarning: getAccountWarning,
+        isXtream: isXtream,
+        isPortalChannel: isPortalChannel,
+        resolveStreamUrl: resolveStreamUrl,
+        getXMLTVUrl: getXMLTVUrl,
+        loadShortEPG: loadShortEPG,
+        loadProgramTable: loadProgramTable,
+        loadXtreamMovies: loadXtreamMovies,
+        loadMovieInfo: loadMovieInfo,
+        loadXtreamSeries: loadXtreamSeries,
+        loadSeriesInfo: loadSeriesInfo
     };
 })();
@@ -6,13 +6,29 @@
 var M3UParser = (function() {
     'use strict';
 
+    // #EXTVLCOPT options that carry HTTP headers
+    var VLC_HEADER_OPTIONS = {
+        'http-user-agent': 'User-Agent',
+        'http-referrer': 'Referer',
+        'http-referer': 'Referer',
+        'http-origin': 'Origin',
+        'http-cookie': 'Cookie'
+    };
+
+    // Header attributes that act as defaults for every channel
+    var HEADER_DEFAULTS = ['catchup', 'catchup-source', 'catchup-days', 'tvg-shift'];
+
     /**
      * Parse M3U playlist content
      */
     function parse(content) {
-        var lines = content.split('\n');
+        var lines = content.replace(/^\uFEFF/, '').split('\n');
         var channels = [];
         var currentChannel = null;
+        var defaults = getHeaderDefaults(parseHeader(content).attributes);
+
+        // Options may appear before #EXTINF as well as between #EXTINF and the URL
+        var pending = createOptions();
 
         for (var i = 0; i < lines.length; i++) {
             var line = lines[i].trim();
@@ -21,21 +37,35 @@ var M3UParser = (function() {
                 continue;
             }
 
+            var options = currentChannel || pending;
+
             if (line.startsWith('#EXTINF:')) {
                 // Parse channel info
-                currentChannel = parseExtInf(line);
+                currentChannel = parseExtInf(line, defaults);
+                mergeOptions(currentChannel, pending);
+                pending = createOptions();
             } else if (line.startsWith('#EXTGRP:')) {
                 // Parse group/category
-                if (currentChannel) {
-                    currentChannel.category = line.substring(8).trim();
-                }
+                options.category = line.substring(8).trim();
+            } else if (line.startsWith('#EXTVLCOPT:')) {
+                parseVlcOption(line.substring(11), options);
+            } else if (line.startsWith('#KODIPROP:')) {
+                parseKodiProp(line.substring(10), options);
+            } else if (line.startsWith('#EXTHTTP:')) {
+                parseExtHttp(line.substring(9), options);
             } else if (line.startsWith('#')) {
                 // Other directive, skip
                 continue;
             } else if (line.length > 0 && currentChannel) {
-                // This is the stream URL
+                // This is the stream URL, optionally followed by |Header=value&...
+                var pipeIndex = line.indexOf('|');
+                if (pipeIndex !== -1) {
+                    parseHeaderString(line.substring(pipeIndex + 1), currentChannel.headers);
+                    line = line.substring(0, pipeIndex);
+                }
+
                 currentChannel.url = line;
-                channels.push(currentChannel);
+                channels.push(finishChannel(currentChannel));
                 currentChannel = null;
             }
         }
@@ -45,24 +75,41 @@ var M3UParser = (function() {
 
     /**
      * Parse #EXTINF line
+     * @param {string} line - #EXTINF line
+     * @param {Object} [defaults] - Attribute defaults from the #EXTM3U header
      */
-    function parseExtInf(line) {
+    function parseExtInf(line, defaults) {
         var channel = {
             name: '',
             logo: '',
             category: 'Uncategorized',
             url: '',
             tvgId: '',
-            tvgName: ''
+            tvgName: '',
+            headers: {},
+            kodiProps: {}
         };
 
+        var durationMatch = /^#EXTINF:\s*(-?[\d.]+)/.exec(line);
+        if (durationMatch) {
+            channel.duration = parseFloat(durationMatch[1]);
+        }
+
+        var attributes = {};
+        for (var defaultKey in defaults || {}) {
+            attributes[defaultKey] = defaults[defaultKey];
+        }
+
         // Extract attributes
-        var attrPattern = /([a-z-]+)="([^"]*)"/gi;
+        var attrPattern = /([a-z0-9_-]+)="([^"]*)"/gi;
         var match;
 
         while ((match = attrPattern.exec(line)) !== null) {
-            var key = match[1].toLowerCase();
-            var value = match[2];
+            attributes[match[1].toLowerCase()] = match[2];
+        }
+
+        for (var key in attributes) {
+            var value = attributes[key];
 
             switch (key) {
                 case 'tvg-id':
@@ -77,13 +124,54 @@ var M3UParser = (function() {
                 case 'group-title':
                     channel.category = value;
                     break;
+                case 'tvg-chno':
+                case 'channel-number':
+                    channel.number = value;
+                    break;
+                case 'tvg-shift':
+                    channel.tvgShift = parseFloat(value) || 0;
+                    break;
+                case 'tvg-language':
+                    channel.tvgLanguage = value;
+                    break;
+                case 'tvg-country':
+                    channel.tvgCountry = value;
+                    break;
+                case 'tvg-url':
+                    channel.tvgUrl = value;
+                    break;
+                case 'radio':
+                    channel.radio = value.toLowerCase() === 'true';
+                    break;
+                case 'catchup':
+                case 'catchup-type':
+                    channel.catchup = value.toLowerCase();
+                    break;
+                case 'catchup-source':
+                    channel.catchupSource = value;
+                    break;
+                case 'catchup-days':
+                    channel.catchupDays = parseInt(value, 10) || 0;
+                    break;
+                case 'catchup-correction':
+                    channel.catchupCorrection = parseFloat(value) || 0;
+                    break;
+                case 'http-user-agent':
+                case 'user-agent':
+                    channel.headers['User-Agent'] = value;
+                    break;
+                case 'http-referrer':
+                case 'http-referer':
+                    channel.headers['Referer'] = value;
+                    break;
             }
         }
 
-        // Extract channel name (after last comma)
-        var commaIndex = line.lastIndexOf(',');
+        // Channel name follows the first comma outside of attribute values
+        var rest = line.replace(attrPattern, '');
+        var commaIndex = rest.indexOf(',');
         if (commaIndex !== -1) {
-            channel.name = line.substring(commaIndex + 1).trim();
+            channel.name = rest.substring(commaIndex + 1).trim();
         }
 
         // If no name, try to extract from tvg-name
@@ -94,6 +182,209 @@ var M3UParser = (function() {
         return channel;
     }
 
+    /**
+     * Get channel defaults from #EXTM3U header attributes
+     */
+    function getHeaderDefaults(attributes) {
+        var defaults = {};
+        HEADER_DEFAULTS.forEach(function(key) {
+            if (attributes[key]) {
+                defaults[key] = attributes[key];
+            }
+        });
+        return defaults;
+    }
+
+    /**
+     * Create empty holder for options seen before #EXTINF
+     */
+    function createOptions() {
+        return {
+            headers: {},
+            kodiProps: {}
+        };
+    }
+
+    /**
+     * Apply pending options to a channel
+     */
+    function mergeOptions(channel, options) {
+        for (var header in options.headers) {
+            channel.headers[header] = options.headers[header];
+        }
+        for (var prop in options.kodiProps) {
+            channel.kodiProps[prop] = options.kodiProps[prop];
+        }
+        if (options.category && channel.category === 'Uncategorized') {
+            channel.category = options.category;
+        }
+    }
+
+    /**
+     * Parse #EXTVLCOPT value (e.g. http-user-agent=Mozilla/5.0)
+     */
+    function parseVlcOption(option, target) {
+        var index = option.indexOf('=');
+        if (index === -1) {
+            return;
+        }
+
+        var header = VLC_HEADER_OPTIONS[option.substring(0, index).trim().toLowerCase()];
+        if (header) {
+            target.headers[header] = option.substring(index + 1).trim();
+        }
+    }
+
+    /**
+     * Parse #KODIPROP value (e.g. inputstream.adaptive.license_type=clearkey)
+     */
+    function parseKodiProp(prop, target) {
+        var index = prop.indexOf('=');
+        if (index === -1) {
+            return;
+        }
+
+        var key = prop.substring(0, index).trim();
+        var value = prop.substring(index + 1).trim();
+
+        if (key === 'inputstream.adaptive.stream_headers' || key === 'inputstream.adaptive.common_headers') {
+            parseHeaderString(value, target.headers);
+        } else {
+            target.kodiProps[key] = value;
+        }
+    }
+
+    /**
+     * Parse #EXTHTTP JSON object of headers
+     */
+    function parseExtHttp(json, target) {
+        try {
+            var headers = JSON.parse(json);
+            for (var name in headers) {
+                target.headers[normalizeHeaderName(name)] = String(headers[name]);
+            }
+        } catch (e) {
+            console.error('Invalid #EXTHTTP line:', json);
+        }
+    }
+
+    /**
+     * Parse Name=value&Name2=value2 header string (Kodi style)
+     */
+    function parseHeaderString(value, headers) {
+        value.split('&').forEach(function(pair) {
+            var index = pair.indexOf('=');
+            if (index === -1) {
+                return;
+            }
+
+            var name = pair.substring(0, index).trim();
+            var headerValue = pair.substring(index + 1).trim();
+            try {
+                headerValue = decodeURIComponent(headerValue);
+            } catch (e) {
+                // Keep undecodable values as they are
+            }
+
+            if (name) {
+                headers[normalizeHeaderName(name)] = headerValue;
+            }
+        });
+    }
+
+    /**
+     * Normalize header name casing (user-agent → User-Agent, referrer → Referer)
+     */
+    function normalizeHeaderName(name) {
+        var lower = name.toLowerCase();
+        if (lower === 'referrer') {
+            return 'Referer';
+        }
+        return lower.replace(/(^|-)([a-z])/g, function(all, dash, letter) {
+            return dash + letter.toUpperCase();
+        });
+    }
+
+    /**
+     * Drop empty header and property maps
+     */
+    function finishChannel(channel) {
+        if (Object.keys(channel.headers).length === 0) {
+            delete channel.headers;
+        }
+        if (Object.keys(channel.kodiProps).length === 0) {
+            delete channel.kodiProps;
+        }
+        return channel;
+    }
+
+    /**
+     * Parse #EXTM3U header attributes
+     * @returns {Object} Header info with EPG guide URLs (url-tvg / x-tvg-url)
+     */
+    function parseHeader(content) {
+        var header = {
+            attributes: {},
+            tvgUrls: []
+        };
+
+        var lines = content.replace(/^\uFEFF/, '').split('\n');
+
+        for (var i = 0; i < lines.length; i++) {
+            var line = lines[i].trim();
+            if (!line) {
+                continue;
+            }
+            if (!line.startsWith('#EXTM3U')) {
+                break;
+            }
+
+            var attrPattern = /([a-z0-9_-]+)="([^"]*)"/gi;
+            var match;
+
+            while ((match = attrPattern.exec(line)) !== null) {
+                header.attributes[match[1].toLowerCase()] = match[2];
+            }
+            break;
+        }
+
+        ['url-tvg', 'x-tvg-url'].forEach(function(key) {
+            var value = header.attributes[key];
+            if (!value) {
+                return;
+            }
+            // Several guide URLs may be given, separated by commas
+            value.split(',').forEach(function(url) {
+                url = url.trim();
+                if (url && header.tvgUrls.indexOf(url) === -1) {
+                    header.tvgUrls.push(url);
+                }
+            });
+        });
+
+        return header;
+    }
+
+    /**
+     * Fetch remote M3U and return channels together with header info
+     */
+    function fetchPlaylist(url) {
+        return fetch(url)
+            .then(function(response) {
+                if (!response.ok) {
+                    throw new Error('Failed to fetch playlist: ' + response.statusText);
+                }
+                return response.text();
+            })
+            .then(function(content) {
+                var header = parseHeader(content);
+                return {
+                    channels: parse(content),
+                    tvgUrls: header.tvgUrls
+                };
+            });
+    }
+
     /**
      * Fetch and parse remote M3U
      */
@@ -149,6 +440,8 @@ var M3UParser = (function() {
     return {
         parse: parse,
         parseExtInf: parseExtInf,
+        parseHeader: parseHeader,
+        fetchPlaylist: fetchPlaylist,
         fetchAndParse: fetchAndParse,
         validate: validate,
         getPlaylistInfo: getPlaylistInfo
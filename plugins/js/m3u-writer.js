@@ -0,0 +1,138 @@
+/**
+ * M3U Playlist Writer
+ * Writes channels as an extended M3U / M3U8 playlist (the inverse of M3UParser.parse)
+ */
+
+var M3UWriter = (function() {
+    'use strict';
+
+    // HTTP headers written as #EXTVLCOPT options; other headers go to #EXTHTTP
+    var VLC_HEADER_OPTIONS = {
+        'User-Agent': 'http-user-agent',
+        'Referer': 'http-referrer',
+        'Origin': 'http-origin',
+        'Cookie': 'http-cookie'
+    };
+
+    /**
+     * Write playlist
+     * Portal channels are left out, see isExportable
+     * @param {Array} channels - Channels to export
+     * @param {Object} [options] - tvgUrls (guide URLs for the url-tvg header)
+     * @returns {string} Playlist content
+     */
+    function write(channels, options) {
+        options = options || {};
+        channels = channels.filter(isExportable);
+
+        var tvgUrls = options.tvgUrls || getTvgUrls(channels);
+        var lines = ['#EXTM3U' + (tvgUrls.length > 0 ? ' url-tvg="' + escapeAttribute(tvgUrls.join(',')) + '"' : '')];
+
+        channels.forEach(function(channel) {
+            lines = lines.concat(writeEntry(channel));
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Write the lines of one channel
+     * @returns {Array<string>} #EXTINF line, options and URL
+     */
+    function writeEntry(channel) {
+        var attributes = [
+            ['tvg-id', channel.tvgId || channel.epg_channel_id],
+            ['tvg-name', channel.tvgName || channel.name],
+            ['tvg-logo', channel.logo],
+            ['group-title', channel.category],
+            ['tvg-chno', channel.number],
+            ['tvg-shift', channel.tvgShift],
+            ['tvg-language', channel.tvgLanguage],
+            ['tvg-country', channel.tvgCountry],
+            ['radio', channel.radio ? 'true' : ''],
+            ['catchup', channel.catchup],
+            ['catchup-source', channel.catchupSource],
+            ['catchup-days', channel.catchupDays],
+            ['catchup-correction', channel.catchupCorrection]
+        ].filter(function(attribute) {
+            return attribute[1] !== undefined && attribute[1] !== null && attribute[1] !== '' && attribute[1] !== 0;
+        }).map(function(attribute) {
+            return attribute[0] + '="' + escapeAttribute(attribute[1]) + '"';
+        });
+
+        var lines = ['#EXTINF:' + (channel.duration || -1) + (attributes.length ? ' ' + attributes.join(' ') : '') +
+                     ',' + (channel.name || '').replace(/[\r\n]+/g, ' ')];
+
+        var headers = channel.headers || {};
+        var otherHeaders = {};
+        Object.keys(headers).forEach(function(name) {
+            if (VLC_HEADER_OPTIONS[name]) {
+                lines.push('#EXTVLCOPT:' + VLC_HEADER_OPTIONS[name] + '=' + headers[name]);
+            } else {
+                otherHeaders[name] = headers[name];
+            }
+        });
+        if (Object.keys(otherHeaders).length > 0) {
+            lines.push('#EXTHTTP:' + JSON.stringify(otherHeaders));
+        }
+
+        var kodiProps = channel.kodiProps || {};
+        Object.keys(kodiProps).forEach(function(prop) {
+            lines.push('#KODIPROP:' + prop + '=' + kodiProps[prop]);
+        });
+
+        lines.push(channel.url);
+        return lines;
+    }
+
+    /**
+     * Check if a channel can be written to a playlist
+     * Stalker portal channels only have the portal command, and the stream links the
+     * portal creates for it expire, so no other player could open them.
+     */
+    function isExportable(channel) {
+        return !IPServerLoader.isPortalChannel(channel);
+    }
+
+    /**
+     * Get guide URLs of the playlists / servers the channels come from
+     */
+    function getTvgUrls(channels) {
+        var sourceIds = {};
+        channels.forEach(function(channel) {
+            sourceIds[channel.playlistId] = true;
+        });
+
+        return IPTVStorage.getEPGSources().filter(function(source) {
+            return source.sourceId && sourceIds[source.sourceId];
+        }).map(function(source) {
+            return source.url;
+        });
+    }
+
+    /**
+     * Attribute values cannot contain double quotes or line breaks
+     */
+    function escapeAttribute(value) {
+        return String(value).replace(/"/g, '\'').replace(/[\r\n]+/g, ' ');
+    }
+
+    /**
+     * Get file name for an export
+     * @param {string} name - Export name (e.g. "Favorites")
+     * @param {string} format - 'm3u' or 'm3u8'
+     */
+    function getFileName(name, format) {
+        return (name || 'playlist').replace(/[^a-z0-9\u0600-\u06ff]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() +
+               '.' + (format === 'm3u8' ? 'm3u8' : 'm3u');
+    }
+
+    // Public API
+    return {
+        write: write,
+        writeEntry: writeEntry,
+        isExportable: isExportable,
+        getTvgUrls: getTvgUrls,
+        getFileName: getFileName
+    };
+})();
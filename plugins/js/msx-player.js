@@ -0,0 +1,208 @@
+/**
+ * MSX Player
+ * Starts playback in the Media Station X player through the interaction plugin API
+ */
+
+var MSXPlayer = (function() {
+    'use strict';
+
+    var initialized = false;
+
+    // Merged channel started last, while the player has not moved on to another item:
+    // { channel, channels, sourceId, failedIds, loads }
+    var playing = null;
+
+    /**
+     * Check if the page runs inside Media Station X
+     */
+    function isAvailable() {
+        return typeof TVXInteractionPlugin !== 'undefined' && window.parent !== window;
+    }
+
+    /**
+     * Initialize the interaction plugin once
+     */
+    function init() {
+        if (initialized || !isAvailable()) {
+            return;
+        }
+        initialized = true;
+        TVXInteractionPlugin.setupHandler({
+            ready: function() {},
+            handleData: function() {},
+            handleEvent: handleEvent
+        });
+        TVXInteractionPlugin.init();
+    }
+
+    /**
+     * Follow player events to fail over when a merged channel stops playing
+     */
+    function handleEvent(data) {
+        if (!playing || !data) {
+            return;
+        }
+
+        // The first load is the started channel, any later one is channel up/down
+        if (data.event === 'video:load' && ++playing.loads > 1) {
+            playing = null;
+        } else if (data.event === 'video:error') {
+            failOver().catch(function(e) {
+                console.error('Error switching source:', e);
+            });
+        }
+    }
+
+    /**
+     * Play the next source of the current merged channel after a player error
+     */
+    async function failOver() {
+        var current = playing;
+        playing = null;
+        current.failedIds.push(current.sourceId);
+
+        var picked = await ChannelMerger.pickSource(current.channel, current.failedIds);
+        if (picked) {
+            startPlaylist(current.channel, current.channels, picked, current.failedIds);
+        }
+    }
+
+    /**
+     * Build a data URL for a saved subtitle
+     */
+    function getSubtitleUrl(subtitle) {
+        var content = subtitle.content || '';
+
+        // Timing changes, MicroDVD sources and formats saved by older versions are
+        // turned into the WebVTT to play here
+        if (typeof SubtitleSync !== 'undefined') {
+            try {
+                content = SubtitleSync.getContent(subtitle);
+            } catch (e) {
+                console.error('Error converting subtitle:', e);
+            }
+        }
+
+        return 'data:text/vtt;charset=utf-8,' + encodeURIComponent(content);
+    }
+
+    /**
+     * Build player properties (subtitles, request headers) for a channel
+     */
+    function getProperties(channel) {
+        var properties = {};
+
+        var subtitles = channel.id ? IPTVStorage.getChannelSubtitles(channel.id) : {};
+        Object.keys(subtitles).forEach(function(language) {
+            properties['html5x:subtitle:' + language + ':' + language.toUpperCase()] =
+                getSubtitleUrl(subtitles[language]);
+        });
+
+        if (channel.headers) {
+            properties['html5x:headers'] = JSON.stringify(channel.headers);
+        }
+
+        return properties;
+    }
+
+    /**
+     * Build a playlist item for a channel
+     * @param {Object} channel - Channel (name, logo, headers)
+     * @param {string} [url] - Stream URL, defaults to channel.url
+     */
+    function createItem(channel, url) {
+        return {
+            label: channel.name,
+            playerLabel: channel.name,
+            image: channel.logo || null,
+            action: 'video:' + (url || channel.url),
+            properties: getProperties(channel)
+        };
+    }
+
+    /**
+     * Play a channel, with channel up/down walking the given list
+     * @param {Object} channel - Channel to start with
+     * @param {Array} [channels] - Channels of the current list
+     * @returns {Promise<void>}
+     */
+    async function playChannel(channel, channels) {
+        // Merged channels play the first of their sources that answers
+        var picked = typeof ChannelMerger !== 'undefined' ? await ChannelMerger.pickSource(channel) :
+            { channel: channel, url: await IPServerLoader.resolveStreamUrl(channel) };
+
+        if (!isAvailable()) {
+            window.open(picked.url, '_blank');
+            return;
+        }
+
+        init();
+        startPlaylist(channel, channels && channels.length ? channels : [channel], picked, []);
+    }
+
+    /**
+     * Hand the channel list to the player, starting with the picked source of a channel
+     */
+    function startPlaylist(channel, channels, picked, failedIds) {
+        var index = Math.max(0, channels.findIndex(function(ch) { return ch.id === channel.id; }));
+
+        // The player starts with the first item, so rotate the list to begin at the
+        // selected channel; previous/next still follow the list order.
+        var items = [createItem(Object.assign({}, channel, { url: picked.channel.url, headers: picked.channel.headers }), picked.url)];
+
+        // Portal links expire and are created per play, so other channels only get an
+        // item when one of their sources has a URL the player can open as it is
+        channels.slice(index + 1).concat(channels.slice(0, index)).forEach(function(ch) {
+            var source = (ch.sources || [ch]).find(function(candidate) {
+                return !IPServerLoader.isPortalChannel(candidate);
+            });
+            if (source) {
+                items.push(createItem(Object.assign({}, ch, { url: source.url, headers: source.headers })));
+            }
+        });
+
+        playing = channel.sources ? {
+            channel: channel,
+            channels: channels,
+            sourceId: picked.channel.id,
+            failedIds: failedIds,
+            loads: 0
+        } : null;
+
+        TVXInteractionPlugin.executeAction('playlist:data', {
+            type: 'list',
+            headline: channel.name,
+            items: items
+        });
+    }
+
+    /**
+     * Play a single URL (movie, episode, archive)
+     * @param {string} url - Stream URL
+     * @param {Object} [info] - Item info (name, logo, headers, id)
+     */
+    function playUrl(url, info) {
+        if (!isAvailable()) {
+            window.open(url, '_blank');
+            return;
+        }
+
+        init();
+        playing = null;
+
+        info = info || { name: '' };
+        TVXInteractionPlugin.executeAction('playlist:data', {
+            type: 'list',
+            headline: info.name,
+            items: [createItem(info, url)]
+        });
+    }
+
+    // Public API
+    return {
+        isAvailable: isAvailable,
+        createItem: createItem,
+        playChannel: playChannel,
+        playUrl: playUrl
+    };
+})();
@@ -0,0 +1,437 @@
+/**
+ * Parental Control
+ * PIN lock for adult categories and channels, hidden or blurred until unlocked
+ */
+
+var ParentalControl = (function() {
+    'use strict';
+
+    var DEFAULTS = {
+        pinHash: null,
+        salt: null,
+        mode: 'blur',
+        autoLockMinutes: 15,
+        autoDetect: true,
+        lockedCategories: [],
+        lockedChannels: []
+    };
+
+    // Unlock lasts for the browser session at most, so closing the app always locks
+    var UNLOCKED_KEY = 'iptv_parental_unlocked_until';
+
+    // Common names of adult groups in M3U playlists and Xtream panels, as whole words
+    // ("Adult Swim" is a cartoon channel; a bare "sex" is too common in other names)
+    var ADULT_PATTERN = /(^|[^a-z0-9])(adults?(?![^a-z0-9]*swim)|xxx|porn|erotica?|sexy|18\s*\+|\+\s*18|playboy|hustler|brazzers)([^a-z0-9]|$)|\u0644\u0644\u0643\u0628\u0627\u0631|\u0643\u0628\u0627\u0631 \u0641\u0642\u0637/i;
+
+    /**
+     * Get parental control settings
+     */
+    function getSettings() {
+        return Object.assign({}, DEFAULTS, IPTVStorage.getSettings().parental || {});
+    }
+
+    /**
+     * Save parental control settings
+     * @param {Object} changes - Fields to change
+     */
+    function saveSettings(changes) {
+        return IPTVStorage.saveSettings(Object.assign({}, IPTVStorage.getSettings(), {
+            parental: Object.assign(getSettings(), changes)
+        }));
+    }
+
+    /**
+     * Check if a PIN is set
+     */
+    function isEnabled() {
+        return !!getSettings().pinHash;
+    }
+
+    /**
+     * Check if a PIN is valid (4 to 8 digits)
+     */
+    function isValidPin(pin) {
+        return /^\d{4,8}$/.test(pin || '');
+    }
+
+    /**
+     * Set or change the PIN
+     * @param {string} pin - New PIN
+     * @param {string} [currentPin] - Required when a PIN is already set
+     */
+    async function setPin(pin, currentPin) {
+        if (isEnabled() && !(await verifyPin(currentPin))) {
+            throw new Error('Current PIN is wrong');
+        }
+        if (!isValidPin(pin)) {
+            throw new Error('PIN must be 4 to 8 digits');
+        }
+
+        var salt = createSalt();
+        saveSettings({ pinHash: await hashPin(pin, salt), salt: salt });
+        lock();
+    }
+
+    /**
+     * Remove the PIN, turning parental control off
+     */
+    async function removePin(currentPin) {
+        if (!(await verifyPin(currentPin))) {
+            throw new Error('PIN is wrong');
+        }
+        saveSettings({ pinHash: null, salt: null });
+        lock();
+    }
+
+    /**
+     * Check a PIN against the saved hash
+     */
+    async function verifyPin(pin) {
+        var settings = getSettings();
+        if (!settings.pinHash || !pin) {
+            return false;
+        }
+        return (await hashPin(String(pin), settings.salt)) === settings.pinHash;
+    }
+
+    /**
+     * Salted SHA-256 of a PIN, as hex
+     */
+    async function hashPin(pin, salt) {
+        var text = salt + ':' + pin;
+
+        // crypto.subtle only exists on HTTPS and localhost
+        if (typeof crypto !== 'undefined' && crypto.subtle && typeof TextEncoder !== 'undefined') {
+            var digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+            return toHex(new Uint8Array(digest));
+        }
+
+        return toHex(sha256(utf8Bytes(text)));
+    }
+
+    /**
+     * Random salt, as hex
+     */
+    function createSalt() {
+        var bytes = new Uint8Array(16);
+        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+            crypto.getRandomValues(bytes);
+        } else {
+            for (var i = 0; i < bytes.length; i++) {
+                bytes[i] = Math.floor(Math.random() * 256);
+            }
+        }
+        return toHex(bytes);
+    }
+
+    /**
+     * Check if locked content is currently unlocked
+     */
+    function isUnlocked() {
+        try {
+            return parseInt(sessionStorage.getItem(UNLOCKED_KEY), 10) > Date.now();
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Unlock with the PIN until the auto-lock timeout passes
+     * @returns {Promise<boolean>} True if the PIN was right
+     */
+    async function unlock(pin) {
+        if (!(await verifyPin(pin))) {
+            return false;
+        }
+        touch(true);
+        return true;
+    }
+
+    /**
+     * Restart the auto-lock timeout while content is unlocked
+     */
+    function touch(force) {
+        if (!force && !isUnlocked()) {
+            return;
+        }
+
+        // 0 minutes keeps the content unlocked until the app is closed
+        var minutes = getSettings().autoLockMinutes;
+        var until = minutes > 0 ? Date.now() + minutes * 60 * 1000 : Number.MAX_SAFE_INTEGER;
+        try {
+            sessionStorage.setItem(UNLOCKED_KEY, String(until));
+        } catch (e) {
+            console.error('Error saving unlock state:', e);
+        }
+    }
+
+    /**
+     * Lock again right away
+     */
+    function lock() {
+        try {
+            sessionStorage.removeItem(UNLOCKED_KEY);
+        } catch (e) {
+            console.error('Error saving unlock state:', e);
+        }
+    }
+
+    /**
+     * Ask for the PIN if locked content is not unlocked yet
+     * @returns {Promise<boolean>} True if the content may be shown
+     */
+    async function requestUnlock() {
+        if (!isEnabled() || isUnlocked()) {
+            return true;
+        }
+
+        var pin = prompt('🔒 Enter parental PIN:');
+        if (pin === null) {
+            return false;
+        }
+        if (await unlock(pin)) {
+            return true;
+        }
+
+        alert('❌ Wrong PIN');
+        return false;
+    }
+
+    /**
+     * Check if a category or group name looks like adult content
+     */
+    function isAdultName(name) {
+        return ADULT_PATTERN.test(name || '');
+    }
+
+    /**
+     * Check if a category is locked, by the user or by its name
+     */
+    function isCategoryLocked(name, settings) {
+        settings = settings || getSettings();
+        if (!settings.pinHash) {
+            return false;
+        }
+        return settings.lockedCategories.indexOf(name) !== -1 || (settings.autoDetect && isAdultName(name));
+    }
+
+    /**
+     * Get settings for checking many channels, read once per listing
+     * @returns {Object|null} Settings, or null when nothing can be locked
+     */
+    function getLockSettings() {
+        var settings = getSettings();
+        if (!settings.pinHash) {
+            return null;
+        }
+        if (!settings.autoDetect && settings.lockedCategories.length === 0 && settings.lockedChannels.length === 0) {
+            return null;
+        }
+        return settings;
+    }
+
+    /**
+     * Check if a channel is locked (itself, one of its categories or the server's adult flag)
+     * A merged channel is locked when any of its sources is.
+     * @param {Object} channel - Channel
+     * @param {Object} [settings] - Settings from getLockSettings, read when not given
+     */
+    function isLocked(channel, settings) {
+        settings = settings || getSettings();
+        if (!settings.pinHash) {
+            return false;
+        }
+        if (channel.sources) {
+            return channel.sources.some(function(source) {
+                return isLocked(source, settings);
+            });
+        }
+        if (settings.lockedChannels.indexOf(channel.id) !== -1 || (settings.autoDetect && channel.adult)) {
+            return true;
+        }
+
+        var categories = channel.categories && channel.categories.length > 0 ? channel.categories : [channel.category];
+        return categories.some(function(name) {
+            return isCategoryLocked(name, settings);
+        });
+    }
+
+    /**
+     * Check if locked content is to be left out right now ('hide' mode)
+     * @param {Object} [settings] - Settings from getLockSettings, read when not given
+     */
+    function hidesLocked(settings) {
+        settings = settings || getSettings();
+        return !!settings.pinHash && settings.mode === 'hide' && !isUnlocked();
+    }
+
+    /**
+     * Check if a channel is to be left out of the channel pages right now
+     */
+    function isHiddenByLock(channel, settings) {
+        settings = settings || getSettings();
+        return hidesLocked(settings) && isLocked(channel, settings);
+    }
+
+    /**
+     * Check if a channel card is to be blurred right now ('blur' mode)
+     * @param {Object} channel - Channel
+     * @param {Object} [settings] - Settings from getLockSettings, read when not given
+     */
+    function isBlurred(channel, settings) {
+        settings = settings || getSettings();
+        return !!settings.pinHash && settings.mode !== 'hide' && !isUnlocked() && isLocked(channel, settings);
+    }
+
+    /**
+     * Lock or unlock a category
+     */
+    function setCategoryLocked(name, locked) {
+        var names = getSettings().lockedCategories.filter(function(n) {
+            return n !== name;
+        });
+        if (locked) {
+            names.push(name);
+        }
+        return saveSettings({ lockedCategories: names });
+    }
+
+    /**
+     * Lock or unlock a channel
+     */
+    function setChannelLocked(id, locked) {
+        var ids = getSettings().lockedChannels.filter(function(channelId) {
+            return channelId !== id;
+        });
+        if (locked) {
+            ids.push(id);
+        }
+        return saveSettings({ lockedChannels: ids });
+    }
+
+    function toHex(bytes) {
+        var hex = '';
+        for (var i = 0; i < bytes.length; i++) {
+            hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+        }
+        return hex;
+    }
+
+    function utf8Bytes(text) {
+        var encoded = unescape(encodeURIComponent(text));
+        var bytes = new Uint8Array(encoded.length);
+        for (var i = 0; i < encoded.length; i++) {
+            bytes[i] = encoded.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    // SHA-256 round constants
+    var K = [
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ];
+
+    /**
+     * SHA-256 for pages without crypto.subtle (plain HTTP on the local network)
+     * @param {Uint8Array} bytes - Message
+     * @returns {Uint8Array} 32-byte digest
+     */
+    function sha256(bytes) {
+        var h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+
+        // Padding: 0x80, zeros, then the bit length as a 64-bit big-endian number
+        var length = ((bytes.length + 9 + 63) >> 6) << 6;
+        var data = new Uint8Array(length);
+        data.set(bytes);
+        data[bytes.length] = 0x80;
+        var bits = bytes.length * 8;
+        data[length - 4] = (bits >>> 24) & 0xff;
+        data[length - 3] = (bits >>> 16) & 0xff;
+        data[length - 2] = (bits >>> 8) & 0xff;
+        data[length - 1] = bits & 0xff;
+        data[length - 5] = Math.floor(bits / 0x100000000) & 0xff;
+
+        var w = new Array(64);
+        for (var offset = 0; offset < length; offset += 64) {
+            for (var i = 0; i < 16; i++) {
+                var j = offset + i * 4;
+                w[i] = (data[j] << 24) | (data[j + 1] << 16) | (data[j + 2] << 8) | data[j + 3];
+            }
+            for (i = 16; i < 64; i++) {
+                var s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                var s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+            }
+
+            var a = h[0], b = h[1], c = h[2], d = h[3], e = h[4], f = h[5], g = h[6], k = h[7];
+            for (i = 0; i < 64; i++) {
+                var t1 = (k + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+                var t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                k = g;
+                g = f;
+                f = e;
+                e = (d + t1) | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) | 0;
+            }
+
+            h[0] = (h[0] + a) | 0;
+            h[1] = (h[1] + b) | 0;
+            h[2] = (h[2] + c) | 0;
+            h[3] = (h[3] + d) | 0;
+            h[4] = (h[4] + e) | 0;
+            h[5] = (h[5] + f) | 0;
+            h[6] = (h[6] + g) | 0;
+            h[7] = (h[7] + k) | 0;
+        }
+
+        var digest = new Uint8Array(32);
+        for (i = 0; i < 8; i++) {
+            digest[i * 4] = (h[i] >>> 24) & 0xff;
+            digest[i * 4 + 1] = (h[i] >>> 16) & 0xff;
+            digest[i * 4 + 2] = (h[i] >>> 8) & 0xff;
+            digest[i * 4 + 3] = h[i] & 0xff;
+        }
+        return digest;
+    }
+
+    function rotr(value, count) {
+        return (value >>> count) | (value << (32 - count));
+    }
+
+    // Public API
+    return {
+        getSettings: getSettings,
+        saveSettings: saveSettings,
+        isEnabled: isEnabled,
+        isValidPin: isValidPin,
+        setPin: setPin,
+        removePin: removePin,
+        verifyPin: verifyPin,
+        hashPin: hashPin,
+        isUnlocked: isUnlocked,
+        unlock: unlock,
+        touch: touch,
+        lock: lock,
+        requestUnlock: requestUnlock,
+        isAdultName: isAdultName,
+        isCategoryLocked: isCategoryLocked,
+        getLockSettings: getLockSettings,
+        isLocked: isLocked,
+        hidesLocked: hidesLocked,
+        isHiddenByLock: isHiddenByLock,
+        isBlurred: isBlurred,
+        setCategoryLocked: setCategoryLocked,
+        setChannelLocked: setChannelLocked,
+        sha256: sha256
+    };
+})();
@@ -0,0 +1,305 @@
+/**
+ * Search Index
+ * Normalized, typo-tolerant channel search with ranked results
+ */
+
+var SearchIndex = (function() {
+    'use strict';
+
+    // Quality and codec tags that say nothing about which channel it is
+    var QUALITY_TAGS = ['hd', 'fhd', 'uhd', 'sd', 'hq', 'lq', '4k', '8k', 'hevc', 'h264', 'h265', 'raw',
+                        '1080', '1080p', '1080i', '720', '720p', '576', '576i', '480p', 'backup', 'vip'];
+    // Country / provider prefixes like "AR|", "UK:", "|EN|", "FR - "
+    var PREFIX_PATTERN = /^\s*\|?\s*[a-z]{2,3}\s*[|:]\s*|^\s*[a-z]{2}\s+[-\u2013]\s+/i;
+    // Arabic letter variants folded to one form
+    var ARABIC_FOLDING = {
+        '\u0623': '\u0627', // alef with hamza above -> alef
+        '\u0625': '\u0627', // alef with hamza below -> alef
+        '\u0622': '\u0627', // alef with madda -> alef
+        '\u0671': '\u0627', // alef wasla -> alef
+        '\u0649': '\u064a', // alef maksura -> yeh
+        '\u0626': '\u064a', // yeh with hamza -> yeh
+        '\u06cc': '\u064a', // farsi yeh -> yeh
+        '\u0629': '\u0647', // teh marbuta -> heh
+        '\u0624': '\u0648', // waw with hamza -> waw
+        '\u06a9': '\u0643'  // keheh -> kaf
+    };
+    // Weight of a match by field
+    var FIELD_WEIGHTS = { name: 1, prefix: 0.3, category: 0.5, program: 0.4 };
+    // Programs this far ahead are searched with includePrograms
+    var PROGRAM_WINDOW = 24 * 60 * 60 * 1000;
+
+    // Tokens by text, as channel names are searched over and over
+    var fieldCache = typeof WeakMap !== 'undefined' ? new WeakMap() : null;
+    var tokenCache = Object.create(null);
+    var tokenCacheSize = 0;
+    var TOKEN_CACHE_LIMIT = 50000;
+
+    /**
+     * Normalize text: lowercase, no diacritics, folded Arabic letters, western digits
+     */
+    function normalize(text) {
+        var value = String(text || '').toLowerCase();
+
+        if (value.normalize) {
+            value = value.normalize('NFD');
+        }
+
+        return value
+            .replace(/[\u0300-\u036f]/g, '')
+            // Arabic diacritics (tashkeel) and tatweel
+            .replace(/[\u064b-\u065f\u0670\u0640]/g, '')
+            .replace(/[\u0623\u0625\u0622\u0671\u0649\u0626\u06cc\u0629\u0624\u06a9]/g, function(letter) {
+                return ARABIC_FOLDING[letter];
+            })
+            .replace(/[\u0660-\u0669]/g, function(digit) {
+                return String(digit.charCodeAt(0) - 0x0660);
+            })
+            .replace(/\u00df/g, 'ss');
+    }
+
+    /**
+     * Split text into normalized search tokens, without quality tags
+     */
+    function tokenize(text) {
+        var key = String(text || '');
+        if (tokenCache[key]) {
+            return tokenCache[key];
+        }
+
+        var tokens = splitWords(key).filter(function(token) {
+            return QUALITY_TAGS.indexOf(token) === -1;
+        });
+
+        if (++tokenCacheSize > TOKEN_CACHE_LIMIT) {
+            tokenCache = Object.create(null);
+            tokenCacheSize = 1;
+        }
+        tokenCache[key] = tokens;
+        return tokens;
+    }
+
+    /**
+     * Split text into normalized words, quality tags included
+     */
+    function splitWords(text) {
+        return normalize(text).split(/[^a-z0-9\u0600-\u06ff]+/).filter(Boolean);
+    }
+
+    /**
+     * Edit distance where swapping two neighbouring letters counts as one typo
+     * (optimal string alignment), stopping early once it exceeds max
+     */
+    function distance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) {
+            return max + 1;
+        }
+
+        var beforePrevious = null;
+        var previous = [];
+        for (var j = 0; j <= b.length; j++) {
+            previous[j] = j;
+        }
+
+        for (var i = 1; i <= a.length; i++) {
+            var current = [i];
+            var rowMin = i;
+            for (j = 1; j <= b.length; j++) {
+                var cost = a.charCodeAt(i - 1) === b.charCodeAt(j - 1) ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+                if (beforePrevious && i > 1 && j > 1 &&
+                    a.charCodeAt(i - 1) === b.charCodeAt(j - 2) && a.charCodeAt(i - 2) === b.charCodeAt(j - 1)) {
+                    current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) {
+                return max + 1;
+            }
+            beforePrevious = previous;
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Typos allowed for a query token of this length
+     */
+    function allowedTypos(token) {
+        return token.length <= 3 ? 0 : token.length <= 6 ? 1 : 2;
+    }
+
+    /**
+     * Score how well one query token matches one text token (0 = no match)
+     */
+    function scoreToken(query, token) {
+        if (query === token) {
+            return 1;
+        }
+
+        // Numbers must match exactly ("sport 1" is not "sport 10")
+        if (/^\d+$/.test(query)) {
+            return 0;
+        }
+        if (token.indexOf(query) === 0) {
+            return 0.9;
+        }
+        if (query.indexOf(token) === 0 && token.length >= 3) {
+            return 0.8;
+        }
+
+        // Typos are looked for in words starting alike (first letter, or the first two swapped)
+        var max = allowedTypos(query);
+        if (max > 0 && (query.charAt(0) === token.charAt(0) || query.charAt(0) === token.charAt(1))) {
+            var typos = Math.min(distance(query, token, max), distance(query, token.substring(0, query.length), max));
+            if (typos <= max) {
+                return 0.7 - typos * 0.1;
+            }
+        }
+
+        if (query.length >= 3 && token.indexOf(query) !== -1) {
+            return 0.5;
+        }
+        return 0;
+    }
+
+    /**
+     * Best score of a query token against a list of tokens
+     * @param {Object} scores - Scores by text token for this query token, shared by all channels
+     */
+    function bestScore(query, tokens, scores) {
+        var best = 0;
+        for (var i = 0; i < tokens.length && best < 1; i++) {
+            var score = scores[tokens[i]];
+            if (score === undefined) {
+                score = scores[tokens[i]] = scoreToken(query, tokens[i]);
+            }
+            best = Math.max(best, score);
+        }
+        return best;
+    }
+
+    /**
+     * Get the searchable fields of a channel
+     */
+    function getFields(channel, options) {
+        var fields = fieldCache && fieldCache.get(channel);
+
+        if (!fields) {
+            var categories = channel.categories && channel.categories.length > 0 ? channel.categories : [channel.category];
+            var name = channel.name || '';
+            var prefix = (name.match(PREFIX_PATTERN) || [''])[0];
+            fields = {
+                name: tokenize(name.substring(prefix.length)),
+                prefix: tokenize(prefix),
+                category: [].concat.apply([], categories.map(tokenize)),
+                program: []
+            };
+            if (fieldCache) {
+                fieldCache.set(channel, fields);
+            }
+        }
+
+        if (!options.includePrograms || typeof EPGManager === 'undefined') {
+            return fields;
+        }
+
+        var now = Date.now();
+        var programs = [];
+        EPGManager.getPrograms(channel).forEach(function(program) {
+            if (program.stop > now && program.start < now + PROGRAM_WINDOW) {
+                programs = programs.concat(tokenize(program.title));
+            }
+        });
+        return Object.assign({}, fields, { program: programs });
+    }
+
+    /**
+     * Score a channel against query tokens
+     * Every query token has to match a field; exact and whole-name matches rank first
+     * @returns {number} Score, 0 when the channel does not match
+     */
+    function scoreChannel(channel, queryTokens, scores, options) {
+        var fields = getFields(channel, options);
+        var total = 0;
+
+        for (var i = 0; i < queryTokens.length; i++) {
+            var best = 0;
+            for (var field in FIELD_WEIGHTS) {
+                best = Math.max(best, bestScore(queryTokens[i], fields[field], scores[i]) * FIELD_WEIGHTS[field]);
+            }
+            if (best === 0) {
+                return 0;
+            }
+            total += best;
+        }
+
+        var score = total / queryTokens.length;
+        var name = fields.name.join(' ');
+        var query = queryTokens.join(' ');
+
+        if (name === query) {
+            score += 1;
+        } else if (name.indexOf(query) === 0) {
+            score += 0.5;
+        }
+
+        // Fewer extra words in the name rank higher
+        return Math.max(0.01, score - Math.max(0, fields.name.length - queryTokens.length) * 0.01);
+    }
+
+    /**
+     * Search channels
+     * @param {Array} channels - Channels to search
+     * @param {string} query - Search text
+     * @param {Object} [options] - includePrograms (also match guide titles of the next 24 hours)
+     * @returns {Array} Matching channels, best first; all channels for an empty query
+     */
+    function search(channels, query, options) {
+        options = options || {};
+
+        var queryTokens = tokenize(query);
+        if (queryTokens.length === 0) {
+            var tags = splitWords(query);
+            return tags.length === 0 ? channels.slice() : searchTags(channels, tags);
+        }
+
+        // Names share most of their words, so each word is scored once per search
+        var scores = queryTokens.map(function() {
+            return Object.create(null);
+        });
+
+        return channels.map(function(channel, index) {
+            return { channel: channel, index: index, score: scoreChannel(channel, queryTokens, scores, options) };
+        }).filter(function(entry) {
+            return entry.score > 0;
+        }).sort(function(a, b) {
+            return b.score - a.score || a.index - b.index;
+        }).map(function(entry) {
+            return entry.channel;
+        });
+    }
+
+    /**
+     * Channels whose names carry all the given quality tags, for queries like "HD"
+     * that have no other words
+     */
+    function searchTags(channels, tags) {
+        return channels.filter(function(channel) {
+            var words = splitWords(channel.name);
+            return tags.every(function(tag) {
+                return words.indexOf(tag) !== -1;
+            });
+        });
+    }
+
+    // Public API
+    return {
+        normalize: normalize,
+        tokenize: tokenize,
+        distance: distance,
+        search: search
+    };
+})();
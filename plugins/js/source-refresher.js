@@ -0,0 +1,154 @@
+/**
+ * Source Refresher
+ * Reloads channels of M3U playlists and IP servers, on demand or when their refresh interval has passed
+ */
+
+var SourceRefresher = (function() {
+    'use strict';
+
+    // Used for sources without their own refreshInterval (hours, 0 = manual only)
+    var DEFAULT_INTERVAL_HOURS = 24;
+
+    /**
+     * Get all refreshable sources
+     * @returns {Array} Playlists and IP servers, each with kind 'playlist' or 'server'
+     */
+    function getSources() {
+        var playlists = IPTVStorage.getPlaylists().map(function(playlist) {
+            return { kind: 'playlist', source: playlist };
+        });
+        var servers = IPTVStorage.getIPServers().map(function(server) {
+            return { kind: 'server', source: server };
+        });
+
+        return playlists.concat(servers);
+    }
+
+    /**
+     * Get refresh interval of a source in hours
+     */
+    function getInterval(source) {
+        return typeof source.refreshInterval === 'number' ? source.refreshInterval : DEFAULT_INTERVAL_HOURS;
+    }
+
+    /**
+     * Check if a source is due for refresh
+     */
+    function isDue(source, now) {
+        var interval = getInterval(source);
+        if (interval <= 0) {
+            return false;
+        }
+
+        var last = new Date(source.lastRefreshed || source.createdAt).getTime() || 0;
+        return (now || Date.now()) - last >= interval * 60 * 60 * 1000;
+    }
+
+    /**
+     * Load channels of a playlist or server
+     */
+    async function loadChannels(kind, source) {
+        if (kind === 'playlist') {
+            return (await M3UParser.fetchPlaylist(source.url)).channels;
+        }
+
+        // Keep account status current and stop on expired or disabled accounts
+        if (IPServerLoader.isXtream(source)) {
+            var account = await IPServerLoader.getAccountInfo(source);
+            IPTVStorage.updateIPServer(source.id, { account: account });
+
+            var accountError = IPServerLoader.validateAccount(account);
+            if (accountError) {
+                throw new Error(accountError);
+            }
+        }
+
+        return await IPServerLoader.loadChannels(source);
+    }
+
+    /**
+     * Refresh one playlist or server
+     * @param {string} id - Playlist or server id
+     * @returns {Promise<Object>} Diff { added, removed, changed }
+     */
+    async function refreshSource(id) {
+        await IPTVStorage.ready();
+
+        var entry = getSources().filter(function(item) {
+            return item.source.id === id;
+        })[0];
+
+        if (!entry) {
+            throw new Error('Source not found');
+        }
+
+        var update = entry.kind === 'playlist' ? IPTVStorage.updatePlaylist : IPTVStorage.updateIPServer;
+
+        try {
+            var channels = await loadChannels(entry.kind, entry.source);
+
+            // An empty list is more likely a server problem than a cleared source
+            if (channels.length === 0) {
+                throw new Error('No channels found');
+            }
+
+            var diff = IPTVStorage.addChannels(id, channels);
+
+            update(id, {
+                lastRefreshed: new Date().toISOString(),
+                lastRefreshError: null,
+                channelCount: channels.length
+            });
+
+            return diff;
+        } catch (error) {
+            update(id, { lastRefreshError: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Refresh all sources whose interval has passed
+     * @returns {Promise<Object>} { refreshed, failed, added, removed, changed } counts
+     */
+    async function refreshDue() {
+        var summary = { refreshed: 0, failed: 0, added: 0, removed: 0, changed: 0 };
+        var now = Date.now();
+
+        var due = getSources().filter(function(item) {
+            return isDue(item.source, now);
+        });
+
+        for (var i = 0; i < due.length; i++) {
+            try {
+                var diff = await refreshSource(due[i].source.id);
+                summary.refreshed++;
+                summary.added += diff.added.length;
+                summary.removed += diff.removed.length;
+                summary.changed += diff.changed.length;
+            } catch (error) {
+                console.error('Error refreshing ' + due[i].source.name + ':', error);
+                summary.failed++;
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Describe a diff for display
+     */
+    function formatDiff(diff) {
+        return diff.added.length + ' added, ' + diff.removed.length + ' removed, ' +
+               diff.changed.length + ' changed';
+    }
+
+    // Public API
+    return {
+        getInterval: getInterval,
+        isDue: isDue,
+        refreshSource: refreshSource,
+        refreshDue: refreshDue,
+        formatDiff: formatDiff
+    };
+})();
@@ -0,0 +1,284 @@
+/**
+ * Stalker Portal Loader
+ * Loads channels from Ministra/Stalker middleware portals authenticated by MAC address
+ *
+ * Portals identify the box by the "mac" cookie and a MAG User-Agent. Browsers never
+ * send those headers on fetch, so portal calls go through a relay (see
+ * tools/stalker-proxy.py) that turns the X-Forward-* headers back into real ones.
+ */
+
+var StalkerPortal = (function() {
+    'use strict';
+
+    // Portals only answer clients that identify as a MAG set-top box
+    var USER_AGENT = 'Mozilla/5.0 (QtEmbedded; U; Linux; C) AppleWebKit/533.3 (KHTML, like Gecko) MAG200 stbapp ver: 2 rev: 250 Safari/533.3';
+    var X_USER_AGENT = 'Model: MAG250; Link: WiFi';
+
+    // Session tokens per portal, kept for the lifetime of the page
+    var sessions = {};
+
+    /**
+     * Get load.php URL of a portal
+     * Accepts http://host/c/, http://host/stalker_portal/c/ or a direct portal.php / load.php URL
+     */
+    function getLoadUrl(serverInfo) {
+        var url = serverInfo.portalUrl.trim();
+
+        if (/\/(portal|load)\.php$/.test(url)) {
+            return url;
+        }
+
+        var match = /^(https?:\/\/[^\/]+)(\/.*)?$/.exec(url);
+        if (!match) {
+            throw new Error('Invalid portal URL');
+        }
+
+        if ((match[2] || '').indexOf('/stalker_portal') === 0) {
+            return match[1] + '/stalker_portal/server/load.php';
+        }
+        return match[1] + '/portal.php';
+    }
+
+    /**
+     * Get relay URL for a portal request
+     */
+    function getProxiedUrl(serverInfo, url) {
+        var proxyUrl = (serverInfo.proxyUrl || '').trim();
+        if (!proxyUrl) {
+            throw new Error('Stalker portals need a proxy: browsers cannot send the MAC cookie');
+        }
+        return proxyUrl + (proxyUrl.indexOf('?') === -1 ? '?' : '&') + 'url=' + encodeURIComponent(url);
+    }
+
+    /**
+     * Normalize MAC address to 00:1A:79:XX:XX:XX form
+     * @returns {string|null} Normalized MAC, or null if invalid
+     */
+    function normalizeMac(mac) {
+        var hex = (mac || '').replace(/[^0-9a-f]/gi, '').toUpperCase();
+        if (hex.length !== 12) {
+            return null;
+        }
+        return hex.match(/.{2}/g).join(':');
+    }
+
+    /**
+     * Send request to the portal
+     * @returns {Promise<*>} The "js" payload of the response
+     */
+    async function request(serverInfo, params, token) {
+        var query = Object.keys(params).map(function(key) {
+            return key + '=' + encodeURIComponent(params[key]);
+        }).join('&');
+
+        // Forbidden headers are renamed here and restored by the proxy
+        var headers = {
+            'X-Forward-User-Agent': USER_AGENT,
+            'X-User-Agent': X_USER_AGENT,
+            'X-Forward-Cookie': 'mac=' + encodeURIComponent(serverInfo.mac) + '; stb_lang=en; timezone=' +
+                      encodeURIComponent(serverInfo.timezone || 'UTC')
+        };
+        if (token) {
+            headers['Authorization'] = 'Bearer ' + token;
+        }
+
+        var url = getLoadUrl(serverInfo) + '?' + query + '&JsHttpRequest=1-xml';
+        var response = await fetch(getProxiedUrl(serverInfo, url), {
+            headers: headers
+        });
+
+        if (!response.ok) {
+            throw new Error('Portal returned error: ' + response.status);
+        }
+
+        var text = await response.text();
+        var data;
+
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            // Expired or unknown tokens are answered with a plain text message
+            throw new Error('Authorization failed');
+        }
+
+        if (!data || data.js === undefined) {
+            throw new Error('Invalid response from portal');
+        }
+
+        return data.js;
+    }
+
+    /**
+     * Perform handshake and profile request, returning a session
+     */
+    async function connect(serverInfo) {
+        var handshake = await request(serverInfo, {
+            type: 'stb',
+            action: 'handshake',
+            token: ''
+        });
+
+        if (!handshake || !handshake.token) {
+            throw new Error('Portal handshake failed');
+        }
+
+        // The token is only activated after get_profile
+        var profile = await request(serverInfo, {
+            type: 'stb',
+            action: 'get_profile',
+            hd: 1,
+            sn: serverInfo.serialNumber || '',
+            stb_type: 'MAG250',
+            device_id: serverInfo.deviceId || '',
+            auth_second_step: 1
+        }, handshake.token);
+
+        if (!profile || typeof profile !== 'object') {
+            throw new Error('Portal rejected this MAC address');
+        }
+        if (profile.blocked === '1' || profile.blocked === 1) {
+            throw new Error('Account is blocked');
+        }
+
+        var session = {
+            token: handshake.token,
+            profile: profile
+        };
+
+        sessions[serverInfo.portalUrl + '|' + serverInfo.mac] = session;
+        return session;
+    }
+
+    /**
+     * Get cached session or connect
+     */
+    async function getSession(serverInfo) {
+        return sessions[serverInfo.portalUrl + '|' + serverInfo.mac] || await connect(serverInfo);
+    }
+
+    /**
+     * Send authorized request, reconnecting once if the token has expired
+     */
+    async function authorizedRequest(serverInfo, params) {
+        var session = await getSession(serverInfo);
+
+        try {
+            return await request(serverInfo, params, session.token);
+        } catch (e) {
+            if (e.message !== 'Authorization failed') {
+                throw e;
+            }
+            session = await connect(serverInfo);
+            return await request(serverInfo, params, session.token);
+        }
+    }
+
+    /**
+     * Get account profile
+     * @returns {Promise<Object>} Profile as returned by get_profile
+     */
+    async function getProfile(serverInfo) {
+        return (await connect(serverInfo)).profile;
+    }
+
+    /**
+     * Load genres (categories)
+     * @returns {Promise<Object>} Map of genre id → { name, order }
+     */
+    async function loadGenres(serverInfo) {
+        var data = await authorizedRequest(serverInfo, {
+            type: 'itv',
+            action: 'get_genres'
+        });
+
+        var genres = {};
+        (Array.isArray(data) ? data : []).forEach(function(genre, index) {
+            // "*" is the portal's own "All channels" genre
+            if (String(genre.id) === '*') {
+                return;
+            }
+            genres[String(genre.id)] = {
+                name: genre.title,
+                order: index
+            };
+        });
+
+        return genres;
+    }
+
+    /**
+     * Load channels from portal
+     * @param {Object} serverInfo - Portal configuration (portalUrl, mac, proxyUrl)
+     * @returns {Promise<Array>} Array of channels
+     */
+    async function loadChannels(serverInfo) {
+        var genres = await loadGenres(serverInfo);
+        var data = await authorizedRequest(serverInfo, {
+            type: 'itv',
+            action: 'get_all_channels'
+        });
+
+        var list = data && Array.isArray(data.data) ? data.data : [];
+
+        return list.map(function(item) {
+            var genre = genres[String(item.tv_genre_id)];
+
+            return {
+                name: item.name || 'Unknown Channel',
+                // Real stream URLs are created on demand through create_link
+                url: getCommandUrl(item.cmd),
+                logo: /^https?:\/\//.test(item.logo || '') ? item.logo : '',
+                category: genre ? genre.name : 'Uncategorized',
+                categoryId: String(item.tv_genre_id || ''),
+                categories: genre ? [genre.name] : [],
+                categoryOrders: genre ? [genre.order] : [],
+                tvgId: item.xmltv_id || '',
+                number: item.number || '',
+                cmd: item.cmd || '',
+                portal_channel_id: item.id
+            };
+        });
+    }
+
+    /**
+     * Strip the player prefix (ffmpeg, ffrt, auto) from a portal command
+     */
+    function getCommandUrl(cmd) {
+        return (cmd || '').replace(/^(ffmpeg|ffrt\d*|auto)\s+/i, '').trim();
+    }
+
+    /**
+     * Create a playable stream URL for a channel command
+     * @param {Object} serverInfo - Portal configuration
+     * @param {string} cmd - Channel cmd from get_all_channels
+     * @returns {Promise<string>} Stream URL
+     */
+    async function createLink(serverInfo, cmd) {
+        var data = await authorizedRequest(serverInfo, {
+            type: 'itv',
+            action: 'create_link',
+            cmd: cmd,
+            series: '',
+            forced_storage: 'undefined',
+            disable_ad: 0,
+            download: 0
+        });
+
+        var url = getCommandUrl(data && data.cmd);
+        if (!url) {
+            throw new Error('Portal did not return a stream link');
+        }
+
+        return url;
+    }
+
+    // Public API
+    return {
+        normalizeMac: normalizeMac,
+        getLoadUrl: getLoadUrl,
+        getProfile: getProfile,
+        loadGenres: loadGenres,
+        loadChannels: loadChannels,
+        createLink: createLink
+    };
+})();
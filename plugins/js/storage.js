@@ -1,6 +1,7 @@
 /**
  * IPTV Storage Manager
- * Handles playlists and channels in localStorage
+ * Handles playlists and settings in localStorage, and channels, movies, series and
+ * guide data in IndexedDB (kept in memory once ready() has resolved)
  */
 
 var IPTVStorage = (function() {
@@ -14,6 +15,182 @@ var IPTVStorage = (function() {
     var SUBTITLE_SERVERS_KEY = 'iptv_subtitle_servers';
     var CHANNEL_SUBTITLES_KEY = 'iptv_channel_subtitles';
     var LOCAL_SUBTITLES_KEY = 'iptv_local_subtitles';
+    var OPENSUBTITLES_SESSIONS_KEY = 'iptv_opensubtitles_sessions';
+    var EPG_SOURCES_KEY = 'iptv_epg_sources';
+    var EPG_PROGRAMS_KEY = 'iptv_epg_programs';
+    var EPG_CHANNEL_MAP_KEY = 'iptv_epg_channel_map';
+    var MOVIES_KEY = 'iptv_movies';
+    var SERIES_KEY = 'iptv_series';
+    var CUSTOM_LISTS_KEY = 'iptv_custom_lists';
+    var HIDDEN_CHANNELS_KEY = 'iptv_hidden_channels';
+    var HIDDEN_CATEGORIES_KEY = 'iptv_hidden_categories';
+    var CATEGORY_ORDER_KEY = 'iptv_category_order';
+
+    // Collections stored in IndexedDB: the localStorage key they used before and
+    // the index holding the id of the playlist / server they belong to
+    var COLLECTIONS = {
+        channels: { key: CHANNELS_KEY, index: 'playlistId' },
+        movies: { key: MOVIES_KEY, index: 'serverId' },
+        series: { key: SERIES_KEY, index: 'serverId' }
+    };
+
+    // In-memory copies of IndexedDB data, null until ready() has loaded them
+    var memory = { channels: null, movies: null, series: null, epgPrograms: null };
+    var readyPromise = null;
+    var pendingWrites = [];
+
+    /**
+     * Load IndexedDB data into memory, moving old localStorage data over first
+     * Pages must wait for this before reading channels, movies, series or guide data.
+     * Without IndexedDB everything stays in localStorage.
+     * @returns {Promise<void>}
+     */
+    function ready() {
+        if (!readyPromise) {
+            readyPromise = loadDatabase().catch(function(e) {
+                console.error('IndexedDB unavailable, using localStorage:', e);
+            });
+        }
+        return readyPromise;
+    }
+
+    /**
+     * Open database, migrate and fill the in-memory copies
+     */
+    async function loadDatabase() {
+        if (typeof IDBStore === 'undefined' || !IDBStore.isSupported()) {
+            return;
+        }
+
+        await IDBStore.open();
+        await migrateFromLocalStorage();
+
+        var loaded = {};
+        for (var name in COLLECTIONS) {
+            loaded[name] = await IDBStore.getAll(name);
+        }
+
+        loaded.epgPrograms = {};
+        (await IDBStore.getAll('epg_programs')).forEach(function(record) {
+            loaded.epgPrograms[record.epgId] = record.programs;
+        });
+
+        memory = loaded;
+    }
+
+    /**
+     * Move collections saved by earlier versions from localStorage to IndexedDB
+     * The localStorage key is only removed once the data is stored.
+     */
+    async function migrateFromLocalStorage() {
+        for (var name in COLLECTIONS) {
+            var stored = localStorage.getItem(COLLECTIONS[name].key);
+            if (stored) {
+                await IDBStore.putAll(name, JSON.parse(stored));
+                localStorage.removeItem(COLLECTIONS[name].key);
+            }
+        }
+
+        var programs = localStorage.getItem(EPG_PROGRAMS_KEY);
+        if (programs) {
+            await IDBStore.putAll('epg_programs', toProgramRecords(JSON.parse(programs)));
+            localStorage.removeItem(EPG_PROGRAMS_KEY);
+        }
+    }
+
+    /**
+     * Convert a map of EPG channel id → programs to IndexedDB records
+     */
+    function toProgramRecords(programsByChannel) {
+        return Object.keys(programsByChannel).map(function(id) {
+            return { epgId: id, programs: programsByChannel[id] };
+        });
+    }
+
+    /**
+     * Read a collection from memory, or from localStorage without IndexedDB
+     */
+    function readCollection(name) {
+        if (memory[name]) {
+            return memory[name].slice();
+        }
+
+        try {
+            var stored = localStorage.getItem(COLLECTIONS[name].key);
+            return stored ? JSON.parse(stored) : [];
+        } catch (e) {
+            console.error('Error reading ' + name + ':', e);
+            return [];
+        }
+    }
+
+    /**
+     * Save a collection
+     * With a source id, only that playlist's / server's records are rewritten in IndexedDB.
+     */
+    function writeCollection(name, items, sourceId) {
+        if (memory[name]) {
+            memory[name] = items;
+
+            var index = COLLECTIONS[name].index;
+            persist(sourceId === undefined ?
+                IDBStore.replaceAll(name, items) :
+                IDBStore.replaceByIndex(name, index, sourceId, items.filter(function(item) {
+                    return item[index] === sourceId;
+                })), 'Error saving ' + name + ':');
+            return true;
+        }
+
+        try {
+            localStorage.setItem(COLLECTIONS[name].key, JSON.stringify(items));
+            return true;
+        } catch (e) {
+            console.error('Error saving ' + name + ':', e);
+            return false;
+        }
+    }
+
+    /**
+     * Delete the records of a collection matching a predicate
+     * IndexedDB deletes exactly the records removed in memory, whatever field matched.
+     */
+    function deleteFromCollection(name, predicate) {
+        var items = readCollection(name);
+        var kept = items.filter(function(item) {
+            return !predicate(item);
+        });
+
+        if (memory[name]) {
+            var removedIds = items.filter(predicate).map(function(item) {
+                return item.id;
+            });
+            memory[name] = kept;
+            persist(IDBStore.deleteAll(name, removedIds), 'Error deleting ' + name + ':');
+            return true;
+        }
+
+        return writeCollection(name, kept);
+    }
+
+    /**
+     * Track a background IndexedDB write
+     */
+    function persist(promise, message) {
+        var write = promise.catch(function(e) {
+            console.error(message, e);
+        }).then(function() {
+            pendingWrites.splice(pendingWrites.indexOf(write), 1);
+        });
+        pendingWrites.push(write);
+    }
+
+    /**
+     * Wait until queued IndexedDB writes are stored
+     * @returns {Promise<void>}
+     */
+    function flush() {
+        return Promise.all(pendingWrites.slice()).then(function() {});
+    }
 
     /**
      * Get all playlists
@@ -54,6 +231,23 @@ var IPTVStorage = (function() {
         return playlist;
     }
 
+    /**
+     * Update playlist fields
+     */
+    function updatePlaylist(id, changes) {
+        var playlists = getPlaylists();
+        for (var i = 0; i < playlists.length; i++) {
+            if (playlists[i].id === id) {
+                for (var key in changes) {
+                    playlists[i][key] = changes[key];
+                }
+                savePlaylists(playlists);
+                return playlists[i];
+            }
+        }
+        return null;
+    }
+
     /**
      * Delete playlist
      */
@@ -65,61 +259,315 @@ var IPTVStorage = (function() {
         savePlaylists(filtered);
 
         // Also delete associated channels
-        var channels = getChannels();
+        var channels = getAllChannels();
         var filteredChannels = channels.filter(function(c) {
             return c.playlistId !== id;
         });
-        saveChannels(filteredChannels);
+        writeCollection('channels', filteredChannels, id);
+        deleteEPGSourcesFor(id);
 
         return true;
     }
 
     /**
-     * Get all channels
+     * Get all channels, including hidden ones
+     */
+    function getAllChannels() {
+        return readCollection('channels');
+    }
+
+    /**
+     * Get channels shown in the channel pages (without hidden channels and categories)
      */
     function getChannels() {
-        try {
-            var stored = localStorage.getItem(CHANNELS_KEY);
-            return stored ? JSON.parse(stored) : [];
-        } catch (e) {
-            console.error('Error reading channels:', e);
-            return [];
+        var hiddenChannels = getHiddenChannels();
+        var hiddenCategories = getHiddenCategories();
+        var lockSettings = getHidingLockSettings();
+        var isHiddenAsDead = typeof HealthChecker !== 'undefined' ? HealthChecker.getHiddenDeadFilter() : null;
+
+        if (hiddenChannels.length === 0 && hiddenCategories.length === 0 && !lockSettings && !isHiddenAsDead) {
+            return getAllChannels();
+        }
+
+        return getAllChannels().filter(function(c) {
+            return !isHidden(c, hiddenChannels, hiddenCategories) &&
+                   !(lockSettings && ParentalControl.isLocked(c, lockSettings)) &&
+                   !(isHiddenAsDead && isHiddenAsDead(c));
+        });
+    }
+
+    /**
+     * Check if a channel or one of its categories is hidden
+     */
+    function isHidden(channel, hiddenChannels, hiddenCategories) {
+        if (hiddenChannels.indexOf(channel.id) !== -1) {
+            return true;
         }
+        return getChannelCategories(channel).some(function(name) {
+            return hiddenCategories.indexOf(name) !== -1;
+        });
     }
 
     /**
      * Save channels
      */
     function saveChannels(channels) {
-        try {
-            localStorage.setItem(CHANNELS_KEY, JSON.stringify(channels));
-            return true;
-        } catch (e) {
-            console.error('Error saving channels:', e);
-            return false;
-        }
+        return writeCollection('channels', channels);
     }
 
     /**
-     * Add channels from playlist
+     * Add channels from playlist, replacing the playlist's previous channels
+     * Channel ids are stable across refreshes, so favorites and subtitles stay linked
+     * @returns {Object} Diff { added, removed, changed } (arrays of channels)
      */
     function addChannels(playlistId, channels) {
-        var existing = getChannels();
-
-        // Remove old channels from this playlist
-        existing = existing.filter(function(c) {
+        var all = getAllChannels();
+        var previous = all.filter(function(c) {
+            return c.playlistId === playlistId;
+        });
+        var existing = all.filter(function(c) {
             return c.playlistId !== playlistId;
         });
 
+        migrateChannelIds(playlistId, previous);
+        assignChannelIds(playlistId, channels);
+
+        var diff = diffChannels(previous, channels);
+        keepChannelHealth(previous, channels);
+
         // Add new channels
         for (var i = 0; i < channels.length; i++) {
-            channels[i].id = generateId();
             channels[i].playlistId = playlistId;
             existing.push(channels[i]);
         }
 
-        saveChannels(existing);
-        return true;
+        writeCollection('channels', existing, playlistId);
+        return diff;
+    }
+
+    /**
+     * Carry stream health results over to reloaded channels whose URL is unchanged
+     */
+    function keepChannelHealth(previous, channels) {
+        var byId = {};
+        previous.forEach(function(c) {
+            if (c.health) {
+                byId[c.id] = c;
+            }
+        });
+
+        channels.forEach(function(c) {
+            var old = byId[c.id];
+            if (old && old.url === c.url && !c.health) {
+                c.health = old.health;
+            }
+        });
+    }
+
+    /**
+     * Change fields of stored channels
+     * @param {Object} changes - Fields to set, by channel id
+     */
+    function updateChannels(changes) {
+        var all = getAllChannels();
+        var changed = [];
+
+        for (var i = 0; i < all.length; i++) {
+            if (changes[all[i].id]) {
+                all[i] = Object.assign({}, all[i], changes[all[i].id]);
+                changed.push(all[i]);
+            }
+        }
+
+        if (changed.length === 0) {
+            return 0;
+        }
+
+        if (memory.channels) {
+            memory.channels = all;
+            persist(IDBStore.putAll('channels', changed), 'Error saving channels:');
+        } else {
+            writeCollection('channels', all);
+        }
+        return changed.length;
+    }
+
+    /**
+     * Delete channels by id (a refresh of their source adds them again if still listed)
+     */
+    function removeChannels(ids) {
+        var all = getAllChannels();
+        var kept = all.filter(function(c) {
+            return ids.indexOf(c.id) === -1;
+        });
+
+        if (kept.length !== all.length) {
+            writeCollection('channels', kept);
+        }
+        return all.length - kept.length;
+    }
+
+    /**
+     * Build the key identifying a channel within its source
+     * Uses tvg-id, the Xtream stream id or portal channel id, else the name and URL
+     */
+    function getChannelKey(channel) {
+        if (channel.tvgId) {
+            return 'tvg:' + channel.tvgId;
+        }
+        if (channel.stream_id !== undefined && channel.stream_id !== null && channel.stream_id !== '') {
+            return 'stream:' + channel.stream_id;
+        }
+        if (channel.portal_channel_id !== undefined && channel.portal_channel_id !== null) {
+            return 'portal:' + channel.portal_channel_id;
+        }
+        return 'name:' + normalizeChannelName(channel.name) + '|' + (channel.url || '');
+    }
+
+    /**
+     * Lowercase name without spaces and punctuation
+     */
+    function normalizeChannelName(name) {
+        return (name || '').toLowerCase().replace(/[\s\-_.|:()\[\]]+/g, '');
+    }
+
+    /**
+     * Set deterministic ids (playlistId:hash of key) on channels
+     * Channels sharing a key (e.g. HD/SD variants with one tvg-id) are told apart by name.
+     * Two keys with the same 32-bit hash are possible in large playlists; the later
+     * channel gets a numbered hash, so no channel overwrites another.
+     */
+    function assignChannelIds(playlistId, channels) {
+        var used = {};
+        var hashes = {};
+
+        for (var i = 0; i < channels.length; i++) {
+            var key = getChannelKey(channels[i]);
+            if (used[key]) {
+                key += '|' + normalizeChannelName(channels[i].name);
+            }
+
+            var unique = key;
+            for (var n = 2; used[unique]; n++) {
+                unique = key + '#' + n;
+            }
+            used[unique] = true;
+
+            var hash = hashString(unique);
+            for (var m = 2; hashes[hash]; m++) {
+                hash = hashString(unique) + '-' + m;
+            }
+            hashes[hash] = true;
+
+            channels[i].id = playlistId + ':' + hash;
+        }
+    }
+
+    /**
+     * FNV-1a hash of a string, in base 36
+     */
+    function hashString(text) {
+        var hash = 0x811c9dc5;
+        for (var i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    /**
+     * Move channels stored with random ids to stable ids, carrying favorites and subtitles
+     */
+    function migrateChannelIds(playlistId, channels) {
+        var legacy = channels.filter(function(c) {
+            return String(c.id).indexOf(playlistId + ':') !== 0;
+        });
+        if (legacy.length === 0) {
+            return;
+        }
+
+        var oldIds = channels.map(function(c) { return c.id; });
+        assignChannelIds(playlistId, channels);
+
+        var idMap = {};
+        channels.forEach(function(c, i) {
+            if (oldIds[i] !== c.id) {
+                idMap[oldIds[i]] = c.id;
+            }
+        });
+
+        remapChannelIds(idMap);
+    }
+
+    /**
+     * Rename channel ids in favorites and channel subtitles
+     * @param {Object} idMap - Map of old id → new id
+     */
+    function remapChannelIds(idMap) {
+        try {
+            var favorites = getFavorites().map(function(id) {
+                return idMap[id] || id;
+            });
+            localStorage.setItem(FAVORITES_KEY, JSON.stringify(favorites));
+
+            var stored = localStorage.getItem(CHANNEL_SUBTITLES_KEY);
+            if (stored) {
+                var subtitles = JSON.parse(stored);
+                Object.keys(idMap).forEach(function(oldId) {
+                    if (subtitles[oldId]) {
+                        subtitles[idMap[oldId]] = subtitles[oldId];
+                        delete subtitles[oldId];
+                    }
+                });
+                localStorage.setItem(CHANNEL_SUBTITLES_KEY, JSON.stringify(subtitles));
+            }
+        } catch (e) {
+            console.error('Error migrating channel ids:', e);
+        }
+    }
+
+    /**
+     * Compare previous and new channels of a source by id
+     * @returns {Object} { added, removed, changed }
+     */
+    function diffChannels(previous, channels) {
+        var byId = {};
+        previous.forEach(function(c) {
+            byId[c.id] = c;
+        });
+
+        var diff = { added: [], removed: [], changed: [] };
+
+        channels.forEach(function(c) {
+            var old = byId[c.id];
+            if (!old) {
+                diff.added.push(c);
+            } else {
+                if (old.url !== c.url || old.name !== c.name || old.logo !== c.logo || old.category !== c.category) {
+                    diff.changed.push(c);
+                }
+                delete byId[c.id];
+            }
+        });
+
+        diff.removed = Object.keys(byId).map(function(id) {
+            return byId[id];
+        });
+
+        return diff;
+    }
+
+    /**
+     * Get channel by id
+     */
+    function getChannelById(id) {
+        var channels = getAllChannels();
+        for (var i = 0; i < channels.length; i++) {
+            if (channels[i].id === id) {
+                return channels[i];
+            }
+        }
+        return null;
     }
 
     /**
@@ -131,38 +579,154 @@ var IPTVStorage = (function() {
             return channels;
         }
         return channels.filter(function(c) {
-            return c.category === category;
+            return getChannelCategories(c).indexOf(category) !== -1;
         });
     }
 
+    /**
+     * Get all category names a channel belongs to
+     */
+    function getChannelCategories(channel) {
+        var names = [channel.category || 'Uncategorized'];
+
+        // Xtream channels can be listed in several categories
+        if (channel.categories) {
+            for (var i = 0; i < channel.categories.length; i++) {
+                if (names.indexOf(channel.categories[i]) === -1) {
+                    names.push(channel.categories[i]);
+                }
+            }
+        }
+
+        return names;
+    }
+
     /**
      * Get all categories
+     * Categories with a server-defined order come first in that order,
+     * the rest follow by channel count
      */
     function getCategories() {
-        var channels = getChannels();
+        var hideLocked = !!getHidingLockSettings();
+
+        return getAllCategories().filter(function(cat) {
+            return !cat.hidden && !(hideLocked && cat.locked);
+        });
+    }
+
+    /**
+     * Get parental settings when locked channels are to be left out right now
+     * Read once per listing instead of once per channel
+     * @returns {Object|null} Settings, or null when nothing is hidden
+     */
+    function getHidingLockSettings() {
+        if (typeof ParentalControl === 'undefined') {
+            return null;
+        }
+
+        var settings = ParentalControl.getLockSettings();
+        return settings && ParentalControl.hidesLocked(settings) ? settings : null;
+    }
+
+    /**
+     * Get all categories with channel counts, including hidden ones
+     * Sorted by the user's order, then the server's order, then channel count
+     * Hidden channels are not counted; locked is set when parental control locks
+     * the category or all of its channels
+     * @returns {Array} Categories { name, count, order, hidden, locked }
+     */
+    function getAllCategories() {
+        var hiddenChannels = getHiddenChannels();
+        var lockSettings = typeof ParentalControl !== 'undefined' ? ParentalControl.getLockSettings() : null;
+        var hideLocked = !!lockSettings && ParentalControl.hidesLocked(lockSettings);
+        var channels = getAllChannels().filter(function(c) {
+            return hiddenChannels.indexOf(c.id) === -1 && !(hideLocked && ParentalControl.isLocked(c, lockSettings));
+        });
+        var hiddenCategories = getHiddenCategories();
+        var userOrder = getCategoryOrder();
         var categories = {};
 
         for (var i = 0; i < channels.length; i++) {
-            var cat = channels[i].category || 'Uncategorized';
-            if (!categories[cat]) {
-                categories[cat] = 0;
+            var channel = channels[i];
+            var names = getChannelCategories(channel);
+
+            for (var j = 0; j < names.length; j++) {
+                var cat = names[j];
+                if (!categories[cat]) {
+                    categories[cat] = {
+                        name: cat,
+                        count: 0,
+                        order: null,
+                        hidden: hiddenCategories.indexOf(cat) !== -1,
+                        locked: !!lockSettings && ParentalControl.isCategoryLocked(cat, lockSettings),
+                        lockedCount: 0
+                    };
+                }
+                categories[cat].count++;
+                if (lockSettings && !categories[cat].locked && ParentalControl.isLocked(channel, lockSettings)) {
+                    categories[cat].lockedCount++;
+                }
+
+                var index = channel.categories ? channel.categories.indexOf(cat) : -1;
+                var order = index !== -1 && channel.categoryOrders ? channel.categoryOrders[index] : null;
+                if (typeof order === 'number' && (categories[cat].order === null || order < categories[cat].order)) {
+                    categories[cat].order = order;
+                }
             }
-            categories[cat]++;
         }
 
         var result = [];
         for (var key in categories) {
-            result.push({
-                name: key,
-                count: categories[key]
-            });
+            var category = categories[key];
+            category.locked = category.locked || category.lockedCount === category.count;
+            delete category.lockedCount;
+            result.push(category);
         }
 
         return result.sort(function(a, b) {
+            var userA = userOrder.indexOf(a.name);
+            var userB = userOrder.indexOf(b.name);
+            if (userA !== -1 || userB !== -1) {
+                if (userA === -1) return 1;
+                if (userB === -1) return -1;
+                return userA - userB;
+            }
+            if (a.order !== null && b.order !== null) {
+                return a.order - b.order;
+            }
+            if (a.order !== null || b.order !== null) {
+                return a.order !== null ? -1 : 1;
+            }
             return b.count - a.count;
         });
     }
 
+    /**
+     * Get app settings
+     */
+    function getSettings() {
+        try {
+            var stored = localStorage.getItem(SETTINGS_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            console.error('Error reading settings:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Save app settings
+     */
+    function saveSettings(settings) {
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+            return true;
+        } catch (e) {
+            console.error('Error saving settings:', e);
+            return false;
+        }
+    }
+
     /**
      * Get favorites
      */
@@ -177,56 +741,294 @@ var IPTVStorage = (function() {
     }
 
     /**
-     * Add to favorites
+     * Add to favorites
+     */
+    function addFavorite(channelId) {
+        var favorites = getFavorites();
+        if (favorites.indexOf(channelId) === -1) {
+            favorites.push(channelId);
+            localStorage.setItem(FAVORITES_KEY, JSON.stringify(favorites));
+        }
+        return true;
+    }
+
+    /**
+     * Remove from favorites
+     */
+    function removeFavorite(channelId) {
+        var favorites = getFavorites();
+        var filtered = favorites.filter(function(id) {
+            return id !== channelId;
+        });
+        localStorage.setItem(FAVORITES_KEY, JSON.stringify(filtered));
+        return true;
+    }
+
+    /**
+     * Check if channel is favorite
+     */
+    function isFavorite(channelId) {
+        var favorites = getFavorites();
+        return favorites.indexOf(channelId) !== -1;
+    }
+
+    /**
+     * Get favorite channels
+     */
+    function getFavoriteChannels() {
+        return getChannelsInOrder(getFavorites());
+    }
+
+    /**
+     * Move favorite to a new position
+     */
+    function moveFavorite(fromIndex, toIndex) {
+        var favorites = moveItem(getFavorites(), fromIndex, toIndex);
+        localStorage.setItem(FAVORITES_KEY, JSON.stringify(favorites));
+        return true;
+    }
+
+    /**
+     * Get visible channels for a list of ids, in list order
+     */
+    function getChannelsInOrder(ids) {
+        var byId = {};
+        getChannels().forEach(function(c) {
+            byId[c.id] = c;
+        });
+
+        return ids.map(function(id) {
+            return byId[id];
+        }).filter(function(c) {
+            return !!c;
+        });
+    }
+
+    /**
+     * Copy of an array with one item moved
+     */
+    function moveItem(items, fromIndex, toIndex) {
+        var copy = items.slice();
+        if (fromIndex < 0 || fromIndex >= copy.length || toIndex < 0 || toIndex >= copy.length) {
+            return copy;
+        }
+        copy.splice(toIndex, 0, copy.splice(fromIndex, 1)[0]);
+        return copy;
+    }
+
+    /**
+     * Read a JSON array from localStorage
+     */
+    function readList(key) {
+        try {
+            var stored = localStorage.getItem(key);
+            return stored ? JSON.parse(stored) : [];
+        } catch (e) {
+            console.error('Error reading ' + key + ':', e);
+            return [];
+        }
+    }
+
+    /**
+     * Write a JSON array to localStorage
+     */
+    function writeList(key, items) {
+        try {
+            localStorage.setItem(key, JSON.stringify(items));
+            return true;
+        } catch (e) {
+            console.error('Error saving ' + key + ':', e);
+            return false;
+        }
+    }
+
+    /**
+     * Get custom channel lists
+     * @returns {Array} Lists { id, name, channelIds, createdAt }
+     */
+    function getCustomLists() {
+        return readList(CUSTOM_LISTS_KEY);
+    }
+
+    /**
+     * Save custom channel lists
+     */
+    function saveCustomLists(lists) {
+        return writeList(CUSTOM_LISTS_KEY, lists);
+    }
+
+    /**
+     * Get custom list by id
+     */
+    function getCustomListById(id) {
+        return getCustomLists().filter(function(list) {
+            return list.id === id;
+        })[0] || null;
+    }
+
+    /**
+     * Create custom list
+     */
+    function addCustomList(name) {
+        var lists = getCustomLists();
+        var list = {
+            id: generateId(),
+            name: name,
+            channelIds: [],
+            createdAt: new Date().toISOString()
+        };
+        lists.push(list);
+        saveCustomLists(lists);
+        return list;
+    }
+
+    /**
+     * Change a custom list
+     * @param {Function} change - Called with the list, may modify it
+     */
+    function updateCustomList(id, change) {
+        var lists = getCustomLists();
+        for (var i = 0; i < lists.length; i++) {
+            if (lists[i].id === id) {
+                change(lists[i]);
+                saveCustomLists(lists);
+                return lists[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Rename custom list
+     */
+    function renameCustomList(id, name) {
+        return updateCustomList(id, function(list) {
+            list.name = name;
+        });
+    }
+
+    /**
+     * Delete custom list
+     */
+    function deleteCustomList(id) {
+        return saveCustomLists(getCustomLists().filter(function(list) {
+            return list.id !== id;
+        }));
+    }
+
+    /**
+     * Add channel to the end of a custom list
+     */
+    function addToCustomList(listId, channelId) {
+        return updateCustomList(listId, function(list) {
+            if (list.channelIds.indexOf(channelId) === -1) {
+                list.channelIds.push(channelId);
+            }
+        });
+    }
+
+    /**
+     * Remove channel from a custom list
+     */
+    function removeFromCustomList(listId, channelId) {
+        return updateCustomList(listId, function(list) {
+            list.channelIds = list.channelIds.filter(function(id) {
+                return id !== channelId;
+            });
+        });
+    }
+
+    /**
+     * Move channel to a new position in a custom list
+     */
+    function moveInCustomList(listId, fromIndex, toIndex) {
+        return updateCustomList(listId, function(list) {
+            list.channelIds = moveItem(list.channelIds, fromIndex, toIndex);
+        });
+    }
+
+    /**
+     * Get channels of a custom list, in list order
+     */
+    function getCustomListChannels(listId) {
+        var list = getCustomListById(listId);
+        return list ? getChannelsInOrder(list.channelIds) : [];
+    }
+
+    /**
+     * Get ids of hidden channels
      */
-    function addFavorite(channelId) {
-        var favorites = getFavorites();
-        if (favorites.indexOf(channelId) === -1) {
-            favorites.push(channelId);
-            localStorage.setItem(FAVORITES_KEY, JSON.stringify(favorites));
+    function getHiddenChannels() {
+        return readList(HIDDEN_CHANNELS_KEY);
+    }
+
+    /**
+     * Hide channel from the channel pages
+     */
+    function hideChannel(channelId) {
+        var hidden = getHiddenChannels();
+        if (hidden.indexOf(channelId) === -1) {
+            hidden.push(channelId);
         }
-        return true;
+        return writeList(HIDDEN_CHANNELS_KEY, hidden);
     }
 
     /**
-     * Remove from favorites
+     * Show hidden channel again
      */
-    function removeFavorite(channelId) {
-        var favorites = getFavorites();
-        var filtered = favorites.filter(function(id) {
+    function unhideChannel(channelId) {
+        return writeList(HIDDEN_CHANNELS_KEY, getHiddenChannels().filter(function(id) {
             return id !== channelId;
-        });
-        localStorage.setItem(FAVORITES_KEY, JSON.stringify(filtered));
-        return true;
+        }));
     }
 
     /**
-     * Check if channel is favorite
+     * Get names of hidden categories
      */
-    function isFavorite(channelId) {
-        var favorites = getFavorites();
-        return favorites.indexOf(channelId) !== -1;
+    function getHiddenCategories() {
+        return readList(HIDDEN_CATEGORIES_KEY);
     }
 
     /**
-     * Get favorite channels
+     * Hide or show a whole category
      */
-    function getFavoriteChannels() {
-        var favorites = getFavorites();
-        var channels = getChannels();
-
-        return channels.filter(function(c) {
-            return favorites.indexOf(c.id) !== -1;
+    function setCategoryHidden(name, hidden) {
+        var names = getHiddenCategories().filter(function(n) {
+            return n !== name;
         });
+        if (hidden) {
+            names.push(name);
+        }
+        return writeList(HIDDEN_CATEGORIES_KEY, names);
+    }
+
+    /**
+     * Get user's category order (names, first shown first)
+     */
+    function getCategoryOrder() {
+        return readList(CATEGORY_ORDER_KEY);
     }
 
     /**
-     * Search channels
+     * Save user's category order
      */
-    function searchChannels(query) {
-        if (!query) return [];
+    function saveCategoryOrder(names) {
+        return writeList(CATEGORY_ORDER_KEY, names);
+    }
 
+    /**
+     * Search channels, best match first when SearchIndex is loaded
+     * @param {Object} [options] - includePrograms (match TV guide titles too)
+     * @returns {Array} Matching channels; all channels for an empty query
+     */
+    function searchChannels(query, options) {
         var channels = getChannels();
+
+        if (typeof SearchIndex !== 'undefined') {
+            return SearchIndex.search(channels, query, options);
+        }
+        if (!query) return channels;
+
         var lowerQuery = query.toLowerCase();
 
         return channels.filter(function(c) {
@@ -281,6 +1083,23 @@ var IPTVStorage = (function() {
         return serverInfo;
     }
 
+    /**
+     * Update IP server fields
+     */
+    function updateIPServer(id, changes) {
+        var servers = getIPServers();
+        for (var i = 0; i < servers.length; i++) {
+            if (servers[i].id === id) {
+                for (var key in changes) {
+                    servers[i][key] = changes[key];
+                }
+                saveIPServers(servers);
+                return servers[i];
+            }
+        }
+        return null;
+    }
+
     /**
      * Delete IP server
      */
@@ -292,15 +1111,111 @@ var IPTVStorage = (function() {
         saveIPServers(filtered);
 
         // Also delete associated channels
-        var channels = getChannels();
-        var filteredChannels = channels.filter(function(c) {
-            return c.playlistId !== id && c.serverId !== id;
+        deleteFromCollection('channels', function(c) {
+            return c.playlistId === id || c.serverId === id;
+        });
+        deleteEPGSourcesFor(id);
+
+        // And its movies and series
+        deleteFromCollection('movies', function(m) {
+            return m.serverId === id;
+        });
+        deleteFromCollection('series', function(s) {
+            return s.serverId === id;
         });
-        saveChannels(filteredChannels);
 
         return true;
     }
 
+    /**
+     * Get all movies
+     */
+    function getMovies() {
+        return readCollection('movies');
+    }
+
+    /**
+     * Save movies
+     */
+    function saveMovies(movies) {
+        return writeCollection('movies', movies);
+    }
+
+    /**
+     * Add movies from server (replaces the server's previous movies)
+     */
+    function addMovies(serverId, movies) {
+        var existing = getMovies().filter(function(m) {
+            return m.serverId !== serverId;
+        });
+
+        for (var i = 0; i < movies.length; i++) {
+            movies[i].id = generateId();
+            movies[i].serverId = serverId;
+            existing.push(movies[i]);
+        }
+
+        return writeCollection('movies', existing, serverId);
+    }
+
+    /**
+     * Get movie by id
+     */
+    function getMovieById(id) {
+        return getMovies().filter(function(m) {
+            return m.id === id;
+        })[0] || null;
+    }
+
+    /**
+     * Get all series
+     */
+    function getSeries() {
+        return readCollection('series');
+    }
+
+    /**
+     * Save series
+     */
+    function saveSeries(series) {
+        return writeCollection('series', series);
+    }
+
+    /**
+     * Add series from server (replaces the server's previous series)
+     */
+    function addSeries(serverId, series) {
+        var existing = getSeries().filter(function(s) {
+            return s.serverId !== serverId;
+        });
+
+        for (var i = 0; i < series.length; i++) {
+            series[i].id = generateId();
+            series[i].serverId = serverId;
+            existing.push(series[i]);
+        }
+
+        return writeCollection('series', existing, serverId);
+    }
+
+    /**
+     * Get series by id
+     */
+    function getSeriesById(id) {
+        return getSeries().filter(function(s) {
+            return s.id === id;
+        })[0] || null;
+    }
+
+    /**
+     * Get IP server by id
+     */
+    function getIPServerById(id) {
+        return getIPServers().filter(function(s) {
+            return s.id === id;
+        })[0] || null;
+    }
+
     /**
      * Get subtitle servers
      */
@@ -348,9 +1263,45 @@ var IPTVStorage = (function() {
             return s.id !== id;
         });
         saveSubtitleServers(filtered);
+        saveOpenSubtitlesSession(id, null);
         return true;
     }
 
+    /**
+     * Get the cached OpenSubtitles session of a subtitle server (token, quota)
+     */
+    function getOpenSubtitlesSession(serverId) {
+        try {
+            var stored = localStorage.getItem(OPENSUBTITLES_SESSIONS_KEY);
+            var sessions = stored ? JSON.parse(stored) : {};
+            return sessions[serverId] || null;
+        } catch (e) {
+            console.error('Error reading OpenSubtitles sessions:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Save the OpenSubtitles session of a subtitle server, or remove it with null
+     */
+    function saveOpenSubtitlesSession(serverId, session) {
+        try {
+            var stored = localStorage.getItem(OPENSUBTITLES_SESSIONS_KEY);
+            var sessions = stored ? JSON.parse(stored) : {};
+
+            if (session) {
+                sessions[serverId] = session;
+            } else {
+                delete sessions[serverId];
+            }
+            localStorage.setItem(OPENSUBTITLES_SESSIONS_KEY, JSON.stringify(sessions));
+            return true;
+        } catch (e) {
+            console.error('Error saving OpenSubtitles session:', e);
+            return false;
+        }
+    }
+
     /**
      * Save subtitle for channel
      */
@@ -407,6 +1358,19 @@ var IPTVStorage = (function() {
         }
     }
 
+    /**
+     * Get saved subtitles of all channels, keyed by channel id
+     */
+    function getAllChannelSubtitles() {
+        try {
+            var allSubtitles = localStorage.getItem(CHANNEL_SUBTITLES_KEY);
+            return allSubtitles ? JSON.parse(allSubtitles) : {};
+        } catch (e) {
+            console.error('Error reading channel subtitles:', e);
+            return {};
+        }
+    }
+
     /**
      * Add local subtitle
      */
@@ -454,6 +1418,260 @@ var IPTVStorage = (function() {
         }
     }
 
+    /**
+     * Get EPG (XMLTV) sources
+     */
+    function getEPGSources() {
+        try {
+            var stored = localStorage.getItem(EPG_SOURCES_KEY);
+            return stored ? JSON.parse(stored) : [];
+        } catch (e) {
+            console.error('Error reading EPG sources:', e);
+            return [];
+        }
+    }
+
+    /**
+     * Save EPG sources
+     */
+    function saveEPGSources(sources) {
+        try {
+            localStorage.setItem(EPG_SOURCES_KEY, JSON.stringify(sources));
+            return true;
+        } catch (e) {
+            console.error('Error saving EPG sources:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Add EPG source (ignored if the URL is already registered)
+     */
+    function addEPGSource(source) {
+        var sources = getEPGSources();
+        for (var i = 0; i < sources.length; i++) {
+            if (sources[i].url === source.url) {
+                return sources[i];
+            }
+        }
+
+        source.id = generateId();
+        source.createdAt = new Date().toISOString();
+        source.enabled = true;
+        sources.push(source);
+        saveEPGSources(sources);
+        return source;
+    }
+
+    /**
+     * Update EPG source fields
+     */
+    function updateEPGSource(id, changes) {
+        var sources = getEPGSources();
+        for (var i = 0; i < sources.length; i++) {
+            if (sources[i].id === id) {
+                for (var key in changes) {
+                    sources[i][key] = changes[key];
+                }
+                saveEPGSources(sources);
+                return sources[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Delete EPG source and the programs it imported
+     */
+    function deleteEPGSource(id) {
+        removeEPGSources(function(s) {
+            return s.id === id;
+        });
+        return true;
+    }
+
+    /**
+     * Delete EPG sources registered by a playlist or IP server, with their programs
+     * and the programs fetched from the server for channels without a guide id
+     */
+    function deleteEPGSourcesFor(sourceId) {
+        removeEPGSources(function(s) {
+            return s.sourceId === sourceId;
+        });
+
+        var prefix = 'xtream_' + sourceId + '_';
+        deleteEPGPrograms(Object.keys(getAllEPGPrograms()).filter(function(epgId) {
+            return epgId.indexOf(prefix) === 0;
+        }));
+        return true;
+    }
+
+    /**
+     * Remove matching EPG sources and the programs only they imported
+     */
+    function removeEPGSources(matches) {
+        var sources = getEPGSources();
+        var kept = sources.filter(function(s) {
+            return !matches(s);
+        });
+        saveEPGSources(kept);
+
+        // Channels imported by a remaining source keep their programs
+        var keptIds = {};
+        kept.forEach(function(s) {
+            (s.channelIds || []).forEach(function(epgId) {
+                keptIds[epgId] = true;
+            });
+        });
+
+        var removedIds = [];
+        sources.filter(matches).forEach(function(s) {
+            (s.channelIds || []).forEach(function(epgId) {
+                if (!keptIds[epgId]) {
+                    removedIds.push(epgId);
+                }
+            });
+        });
+        deleteEPGPrograms(removedIds);
+    }
+
+    /**
+     * Get all stored EPG programs, keyed by EPG channel id
+     */
+    function getAllEPGPrograms() {
+        if (memory.epgPrograms) {
+            return Object.assign({}, memory.epgPrograms);
+        }
+
+        try {
+            var stored = localStorage.getItem(EPG_PROGRAMS_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            console.error('Error reading EPG programs:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Get EPG programs for one EPG channel id
+     */
+    function getEPGPrograms(epgChannelId) {
+        var programs = getAllEPGPrograms();
+        return programs[epgChannelId] || [];
+    }
+
+    /**
+     * Save EPG programs (replaces the lists of the given channel ids)
+     */
+    function saveEPGPrograms(programsByChannel) {
+        if (memory.epgPrograms) {
+            for (var key in programsByChannel) {
+                memory.epgPrograms[key] = programsByChannel[key];
+            }
+            persist(IDBStore.putAll('epg_programs', toProgramRecords(programsByChannel)),
+                    'Error saving EPG programs:');
+            return true;
+        }
+
+        try {
+            var programs = getAllEPGPrograms();
+            for (var id in programsByChannel) {
+                programs[id] = programsByChannel[id];
+            }
+            localStorage.setItem(EPG_PROGRAMS_KEY, JSON.stringify(programs));
+            return true;
+        } catch (e) {
+            console.error('Error saving EPG programs:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Delete the programs of EPG channel ids
+     */
+    function deleteEPGPrograms(epgIds) {
+        if (epgIds.length === 0) {
+            return true;
+        }
+
+        if (memory.epgPrograms) {
+            epgIds.forEach(function(epgId) {
+                delete memory.epgPrograms[epgId];
+            });
+            persist(IDBStore.deleteAll('epg_programs', epgIds), 'Error deleting EPG programs:');
+            return true;
+        }
+
+        try {
+            var programs = getAllEPGPrograms();
+            epgIds.forEach(function(epgId) {
+                delete programs[epgId];
+            });
+            localStorage.setItem(EPG_PROGRAMS_KEY, JSON.stringify(programs));
+            return true;
+        } catch (e) {
+            console.error('Error deleting EPG programs:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Drop programs that ended before a time; channels left without programs are removed
+     * @param {number} before - Timestamp (ms)
+     */
+    function pruneEPGPrograms(before) {
+        var programs = getAllEPGPrograms();
+        var changed = {};
+        var emptied = [];
+
+        Object.keys(programs).forEach(function(epgId) {
+            var current = programs[epgId].filter(function(p) {
+                return p.stop >= before;
+            });
+            if (current.length === 0) {
+                emptied.push(epgId);
+            } else if (current.length < programs[epgId].length) {
+                changed[epgId] = current;
+            }
+        });
+
+        if (Object.keys(changed).length > 0) {
+            saveEPGPrograms(changed);
+        }
+        deleteEPGPrograms(emptied);
+        return true;
+    }
+
+    /**
+     * Get map of normalized display names to EPG channel ids
+     */
+    function getEPGChannelMap() {
+        try {
+            var stored = localStorage.getItem(EPG_CHANNEL_MAP_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            console.error('Error reading EPG channel map:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Merge entries into the EPG channel map
+     */
+    function saveEPGChannelMap(map) {
+        try {
+            var existing = getEPGChannelMap();
+            for (var name in map) {
+                existing[name] = map[name];
+            }
+            localStorage.setItem(EPG_CHANNEL_MAP_KEY, JSON.stringify(existing));
+            return true;
+        } catch (e) {
+            console.error('Error saving EPG channel map:', e);
+            return false;
+        }
+    }
+
     /**
      * Clear all data
      */
@@ -465,40 +1683,110 @@ var IPTVStorage = (function() {
         localStorage.removeItem(SUBTITLE_SERVERS_KEY);
         localStorage.removeItem(CHANNEL_SUBTITLES_KEY);
         localStorage.removeItem(LOCAL_SUBTITLES_KEY);
+        localStorage.removeItem(OPENSUBTITLES_SESSIONS_KEY);
+        localStorage.removeItem(EPG_SOURCES_KEY);
+        localStorage.removeItem(EPG_PROGRAMS_KEY);
+        localStorage.removeItem(EPG_CHANNEL_MAP_KEY);
+        localStorage.removeItem(MOVIES_KEY);
+        localStorage.removeItem(SERIES_KEY);
+        localStorage.removeItem(CUSTOM_LISTS_KEY);
+        localStorage.removeItem(HIDDEN_CHANNELS_KEY);
+        localStorage.removeItem(HIDDEN_CATEGORIES_KEY);
+        localStorage.removeItem(CATEGORY_ORDER_KEY);
+
+        if (memory.channels) {
+            memory = { channels: [], movies: [], series: [], epgPrograms: {} };
+            ['channels', 'movies', 'series', 'epg_programs'].forEach(function(store) {
+                persist(IDBStore.clear(store), 'Error clearing ' + store + ':');
+            });
+        }
         return true;
     }
 
     // Public API
     return {
+        ready: ready,
+        flush: flush,
         getPlaylists: getPlaylists,
         savePlaylists: savePlaylists,
         addPlaylist: addPlaylist,
+        updatePlaylist: updatePlaylist,
         deletePlaylist: deletePlaylist,
         getChannels: getChannels,
+        getAllChannels: getAllChannels,
+        updateChannels: updateChannels,
+        removeChannels: removeChannels,
         saveChannels: saveChannels,
         addChannels: addChannels,
+        getChannelById: getChannelById,
         getChannelsByCategory: getChannelsByCategory,
         getCategories: getCategories,
+        getAllCategories: getAllCategories,
+        getCategoryOrder: getCategoryOrder,
+        saveCategoryOrder: saveCategoryOrder,
+        getHiddenChannels: getHiddenChannels,
+        hideChannel: hideChannel,
+        unhideChannel: unhideChannel,
+        getHiddenCategories: getHiddenCategories,
+        setCategoryHidden: setCategoryHidden,
+        getCustomLists: getCustomLists,
+        saveCustomLists: saveCustomLists,
+        getCustomListById: getCustomListById,
+        addCustomList: addCustomList,
+        renameCustomList: renameCustomList,
+        deleteCustomList: deleteCustomList,
+        addToCustomList: addToCustomList,
+        removeFromCustomList: removeFromCustomList,
+        moveInCustomList: moveInCustomList,
+        getCustomListChannels: getCustomListChannels,
+        getSettings: getSettings,
+        saveSettings: saveSettings,
         getFavorites: getFavorites,
         addFavorite: addFavorite,
         removeFavorite: removeFavorite,
         isFavorite: isFavorite,
         getFavoriteChannels: getFavoriteChannels,
+        moveFavorite: moveFavorite,
         searchChannels: searchChannels,
         getIPServers: getIPServers,
         saveIPServers: saveIPServers,
         addIPServer: addIPServer,
+        updateIPServer: updateIPServer,
         deleteIPServer: deleteIPServer,
+        getIPServerById: getIPServerById,
+        getMovies: getMovies,
+        saveMovies: saveMovies,
+        addMovies: addMovies,
+        getMovieById: getMovieById,
+        getSeries: getSeries,
+        saveSeries: saveSeries,
+        addSeries: addSeries,
+        getSeriesById: getSeriesById,
         getSubtitleServers: getSubtitleServers,
         saveSubtitleServers: saveSubtitleServers,
         addSubtitleServer: addSubtitleServer,
         deleteSubtitleServer: deleteSubtitleServer,
+        getOpenSubtitlesSession: getOpenSubtitlesSession,
+        saveOpenSubtitlesSession: saveOpenSubtitlesSession,
         saveChannelSubtitle: saveChannelSubtitle,
         getChannelSubtitle: getChannelSubtitle,
         getChannelSubtitles: getChannelSubtitles,
+        getAllChannelSubtitles: getAllChannelSubtitles,
         addLocalSubtitle: addLocalSubtitle,
         getLocalSubtitles: getLocalSubtitles,
         deleteLocalSubtitle: deleteLocalSubtitle,
+        getEPGSources: getEPGSources,
+        saveEPGSources: saveEPGSources,
+        addEPGSource: addEPGSource,
+        updateEPGSource: updateEPGSource,
+        deleteEPGSource: deleteEPGSource,
+        getEPGPrograms: getEPGPrograms,
+        getAllEPGPrograms: getAllEPGPrograms,
+        saveEPGPrograms: saveEPGPrograms,
+        deleteEPGPrograms: deleteEPGPrograms,
+        pruneEPGPrograms: pruneEPGPrograms,
+        getEPGChannelMap: getEPGChannelMap,
+        saveEPGChannelMap: saveEPGChannelMap,
         clearAll: clearAll
     };
 })();
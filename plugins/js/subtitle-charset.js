@@ -0,0 +1,302 @@
+/**
+ * Subtitle Charset
+ * Detects the character set of downloaded subtitle files and decodes them to text
+ */
+
+var SubtitleCharset = (function() {
+    'use strict';
+
+    // Character sets offered for a manual choice
+    var CHARSETS = [
+        { value: 'utf-8', label: 'Unicode (UTF-8)' },
+        { value: 'utf-16le', label: 'Unicode (UTF-16 LE)' },
+        { value: 'utf-16be', label: 'Unicode (UTF-16 BE)' },
+        { value: 'windows-1256', label: 'Arabic (Windows-1256)' },
+        { value: 'iso-8859-6', label: 'Arabic (ISO-8859-6)' },
+        { value: 'windows-1251', label: 'Cyrillic (Windows-1251)' },
+        { value: 'koi8-r', label: 'Cyrillic (KOI8-R)' },
+        { value: 'koi8-u', label: 'Ukrainian (KOI8-U)' },
+        { value: 'windows-1254', label: 'Turkish (Windows-1254)' },
+        { value: 'windows-1252', label: 'Western (Windows-1252)' },
+        { value: 'windows-1250', label: 'Central European (Windows-1250)' },
+        { value: 'windows-1253', label: 'Greek (Windows-1253)' },
+        { value: 'windows-1255', label: 'Hebrew (Windows-1255)' },
+        { value: 'windows-1257', label: 'Baltic (Windows-1257)' },
+        { value: 'windows-1258', label: 'Vietnamese (Windows-1258)' },
+        { value: 'windows-874', label: 'Thai (Windows-874)' },
+        { value: 'gb18030', label: 'Chinese Simplified (GB18030)' },
+        { value: 'big5', label: 'Chinese Traditional (Big5)' },
+        { value: 'shift_jis', label: 'Japanese (Shift_JIS)' },
+        { value: 'euc-jp', label: 'Japanese (EUC-JP)' },
+        { value: 'euc-kr', label: 'Korean (EUC-KR)' }
+    ];
+
+    // Legacy character sets by subtitle language, most likely first
+    var LANGUAGE_CHARSETS = {
+        ar: ['windows-1256', 'iso-8859-6'], fa: ['windows-1256'], ur: ['windows-1256'],
+        he: ['windows-1255'], tr: ['windows-1254'],
+        ru: ['windows-1251', 'koi8-r'], uk: ['windows-1251', 'koi8-u'], be: ['windows-1251'],
+        bg: ['windows-1251'], sr: ['windows-1251', 'windows-1250'], mk: ['windows-1251'],
+        el: ['windows-1253', 'iso-8859-7'],
+        pl: ['windows-1250'], cs: ['windows-1250'], sk: ['windows-1250'], hu: ['windows-1250'],
+        ro: ['windows-1250'], hr: ['windows-1250'], sl: ['windows-1250'], bs: ['windows-1250'], sq: ['windows-1250'],
+        lt: ['windows-1257'], lv: ['windows-1257'], et: ['windows-1257'],
+        vi: ['windows-1258'], th: ['windows-874'],
+        zh: ['gb18030', 'big5'], 'zh-tw': ['big5', 'gb18030'], 'zh-hk': ['big5', 'gb18030'],
+        ja: ['shift_jis', 'euc-jp'], ko: ['euc-kr']
+    };
+    // Tried after the language's own character sets
+    var FALLBACK_CHARSETS = ['windows-1252', 'windows-1256', 'windows-1251', 'windows-1250',
+                             'windows-1254', 'windows-1253', 'windows-1255'];
+    // Alphabet of each language with its own script; others are Latin
+    var LANGUAGE_SCRIPTS = {
+        ar: 'arabic', fa: 'arabic', ur: 'arabic', he: 'hebrew', el: 'greek', th: 'thai',
+        ru: 'cyrillic', uk: 'cyrillic', be: 'cyrillic', bg: 'cyrillic', sr: 'cyrillic', mk: 'cyrillic',
+        zh: 'cjk', ja: 'cjk', ko: 'cjk'
+    };
+    // Icelandic letters, seen mostly when Turkish text is read as Windows-1252
+    var RARE_LETTERS = '\u00de\u00fe\u00d0\u00f0';
+    // Bytes scored per candidate; the whole file is decoded with the winner
+    var SAMPLE_SIZE = 65536;
+
+    /**
+     * Get the display name of a character set
+     */
+    function getLabel(charset) {
+        var match = CHARSETS.filter(function(entry) {
+            return entry.value === charset;
+        })[0];
+        return match ? match.label : charset;
+    }
+
+    function getLanguageKey(language) {
+        var code = String(language || '').toLowerCase().replace('_', '-');
+        return LANGUAGE_CHARSETS[code] ? code : code.split('-')[0];
+    }
+
+    /**
+     * Detect the character set of subtitle bytes
+     * A byte order mark wins, then valid UTF-8, then the legacy character set
+     * whose text reads most like words of the subtitle language.
+     * @param {Uint8Array} bytes - File content
+     * @param {string} [language] - Subtitle language code (ar, tr, ru, pt-BR, ...)
+     * @returns {string} Character set label for TextDecoder
+     */
+    function detect(bytes, language) {
+        if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return 'utf-8';
+        }
+        if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return 'utf-16le';
+        }
+        if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return 'utf-16be';
+        }
+
+        var utf16 = detectUTF16(bytes);
+        if (utf16) {
+            return utf16;
+        }
+        if (isUTF8(bytes)) {
+            return 'utf-8';
+        }
+
+        var key = getLanguageKey(language);
+        var script = LANGUAGE_SCRIPTS[key.split('-')[0]] || 'latin';
+        var candidates = (LANGUAGE_CHARSETS[key] || []).concat(FALLBACK_CHARSETS).filter(function(charset, index, list) {
+            return list.indexOf(charset) === index;
+        });
+        var sample = bytes.subarray(0, SAMPLE_SIZE);
+
+        var best = null;
+        candidates.forEach(function(charset) {
+            var text = decodeWith(sample, charset);
+            if (text === null) {
+                return;
+            }
+            var score = scoreText(text, script);
+            // Ties go to the earlier candidate, so the language's character set is preferred
+            if (!best || score > best.score) {
+                best = { charset: charset, score: score };
+            }
+        });
+
+        return best ? best.charset : 'utf-8';
+    }
+
+    /**
+     * UTF-16 without a byte order mark: every other byte of Latin text is zero
+     */
+    function detectUTF16(bytes) {
+        var length = Math.min(bytes.length, 512) & ~1;
+        var evenZeros = 0;
+        var oddZeros = 0;
+
+        for (var i = 0; i < length; i += 2) {
+            if (bytes[i] === 0) evenZeros++;
+            if (bytes[i + 1] === 0) oddZeros++;
+        }
+
+        var pairs = length / 2;
+        if (pairs < 4) {
+            return null;
+        }
+        if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) {
+            return 'utf-16le';
+        }
+        if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) {
+            return 'utf-16be';
+        }
+        return null;
+    }
+
+    function isUTF8(bytes) {
+        if (typeof TextDecoder === 'undefined') {
+            return true;
+        }
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Decode with a character set, null when the browser does not know it
+     */
+    function decodeWith(bytes, charset) {
+        try {
+            return new TextDecoder(charset).decode(bytes);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Get the script of a character: latin, cyrillic, arabic, ..., 'symbol' or 'invalid'
+     */
+    function getScript(code) {
+        if ((code >= 0x41 && code <= 0x5A) || (code >= 0x61 && code <= 0x7A)) return 'latin';
+        if (code < 0x20 || (code >= 0x80 && code <= 0x9F) || code === 0xFFFD) return 'invalid';
+        if (code >= 0xC0 && code <= 0x24F && code !== 0xD7 && code !== 0xF7) return 'latin';
+        if (code >= 0x1E00 && code <= 0x1EFF) return 'latin';
+        if (code >= 0x370 && code <= 0x3FF) return 'greek';
+        if (code >= 0x400 && code <= 0x52F) return 'cyrillic';
+        if (code >= 0x590 && code <= 0x5FF) return 'hebrew';
+        if ((code >= 0x600 && code <= 0x6FF) || (code >= 0x750 && code <= 0x77F) ||
+            (code >= 0xFB50 && code <= 0xFDFF) || (code >= 0xFE70 && code <= 0xFEFF)) return 'arabic';
+        if (code >= 0xE00 && code <= 0xE7F) return 'thai';
+        if ((code >= 0x3040 && code <= 0x30FF) || (code >= 0x3400 && code <= 0x9FFF) ||
+            (code >= 0xAC00 && code <= 0xD7AF) || (code >= 0xFF00 && code <= 0xFFEF)) return 'cjk';
+        return 'symbol';
+    }
+
+    /**
+     * Score how much decoded text reads like real words
+     * Words in one script score, more so in the expected script; words mixing
+     * scripts, case flips inside a word ("ÇáÓáÇã"), Latin words made mostly of
+     * accented letters ("Ïðèâåò") and control characters cost.
+     */
+    function scoreText(text, expectedScript) {
+        var score = 0;
+        var words = text.split(/[\s!-@\[-`{-~]+/);
+
+        for (var i = 0; i < words.length; i++) {
+            var word = words[i];
+            var scripts = {};
+            var scriptCount = 0;
+            var nonAscii = 0;
+            var previousLower = false;
+
+            for (var j = 0; j < word.length; j++) {
+                var code = word.charCodeAt(j);
+                var script = getScript(code);
+
+                if (code >= 0x80) {
+                    nonAscii++;
+                }
+                if (script === 'invalid') {
+                    score -= 5;
+                } else if (script === 'symbol') {
+                    score -= 2;
+                } else {
+                    if (!scripts[script]) {
+                        scripts[script] = true;
+                        scriptCount++;
+                    }
+                    var character = word.charAt(j);
+                    if (RARE_LETTERS.indexOf(character) !== -1) {
+                        score -= 1;
+                    }
+                    var lower = character.toUpperCase() !== character;
+                    var upper = character.toLowerCase() !== character;
+                    if (upper && previousLower) {
+                        score -= 2;
+                    }
+                    previousLower = lower;
+                }
+            }
+
+            if (nonAscii === 0) {
+                continue;
+            }
+            if (scriptCount > 1) {
+                score -= nonAscii * 2;
+            } else if (scripts.latin && nonAscii > 1 && nonAscii * 2 > word.length) {
+                score -= nonAscii;
+            } else if (scriptCount === 1) {
+                score += nonAscii * (scripts[expectedScript] ? 2 : 1);
+            }
+        }
+
+        return score;
+    }
+
+    /**
+     * Decode subtitle bytes to text
+     * @param {Uint8Array|ArrayBuffer} bytes - File content
+     * @param {Object} [options] - language (drives detection), charset (use this one; 'auto' detects)
+     * @returns {Object} { text, charset }
+     */
+    function decode(bytes, options) {
+        options = options || {};
+        bytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+
+        if (typeof TextDecoder === 'undefined') {
+            return { text: decodeUTF8Fallback(bytes), charset: 'utf-8' };
+        }
+
+        var charset = options.charset && options.charset !== 'auto' ? options.charset : detect(bytes, options.language);
+        var text = decodeWith(bytes, charset);
+        if (text === null) {
+            charset = 'utf-8';
+            text = decodeWith(bytes, charset);
+        }
+
+        return { text: text.replace(/^\uFEFF/, ''), charset: charset };
+    }
+
+    /**
+     * UTF-8 without TextDecoder (older TV browsers); invalid UTF-8 is read as Latin-1
+     */
+    function decodeUTF8Fallback(bytes) {
+        var binary = '';
+        for (var i = 0; i < bytes.length; i += 8192) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+        }
+        try {
+            return decodeURIComponent(escape(binary)).replace(/^\uFEFF/, '');
+        } catch (e) {
+            return binary;
+        }
+    }
+
+    // Public API
+    return {
+        CHARSETS: CHARSETS,
+        getLabel: getLabel,
+        detect: detect,
+        decode: decode
+    };
+})();
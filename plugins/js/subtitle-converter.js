@@ -0,0 +1,1085 @@
+/**
+ * Subtitle Converter
+ * Parses SRT, ASS/SSA, MicroDVD, SubViewer and TTML subtitles into cues and
+ * writes them as WebVTT for the player
+ */
+
+var SubtitleConverter = (function() {
+    'use strict';
+
+    // Frame rate of MicroDVD files that do not state one
+    var DEFAULT_FPS = 23.976;
+    // Cues without an end time (MicroDVD "{}") stay on screen this long at most
+    var DEFAULT_DURATION = 4000;
+    // File extensions, used when the content does not tell the format
+    var EXTENSIONS = {
+        vtt: 'vtt', srt: 'srt', ass: 'ass', ssa: 'ass', sub: 'microdvd',
+        sbv: 'subviewer', ttml: 'ttml', dfxp: 'ttml', xml: 'ttml'
+    };
+    // WebVTT color classes; a color is shown as the one its channels round to
+    var COLOR_CLASSES = {
+        '000': 'black', '001': 'blue', '010': 'lime', '011': 'cyan',
+        '100': 'red', '101': 'magenta', '110': 'yellow', '111': 'white'
+    };
+    var COLOR_NAMES = {
+        black: '000', blue: '001', lime: '010', green: '010', cyan: '011', aqua: '011',
+        red: '100', magenta: '101', fuchsia: '101', yellow: '110', white: '111'
+    };
+
+    var SRT_TIMING = /^\s*((?:\d+:)?\d{1,2}:\d{1,2}[,.]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{1,2}[,.]\d{1,3})/;
+    var SUBVIEWER_TIMING = /^\s*(\d+:\d{1,2}:\d{1,2}\.\d+)\s*,\s*(\d+:\d{1,2}:\d{1,2}\.\d+)\s*$/;
+    var MICRODVD_LINE = /^\{(\d+)\}\{(\d*)\}(.*)$/;
+    // Tags allowed in WebVTT cue text, and cue timestamps
+    var VTT_TAG = /^<(\/?(c|i|b|u|ruby|rt)(\.[\w-]+)*|(v|lang)(\.[\w-]+)*(\s[^<>&]*)?|\/(v|lang)|(\d+:)?\d{2}:\d{2}\.\d{3})>$/;
+
+    /**
+     * Remove the byte order mark and use \n line breaks
+     */
+    function normalizeText(content) {
+        return String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    }
+
+    /**
+     * Detect the format of subtitle content
+     * @param {string} content - Subtitle file content
+     * @param {string} [hint] - File name or format, used when the content is not recognized
+     * @returns {string|null} 'vtt', 'srt', 'ass', 'microdvd', 'subviewer', 'ttml' or null
+     */
+    function detectFormat(content, hint) {
+        var head = normalizeText(content).substring(0, 4000).replace(/^\s+/, '');
+
+        if (/^WEBVTT(?:[ \t\n]|$)/.test(head)) {
+            return 'vtt';
+        }
+        if (/<(?:[\w-]+:)?tt[\s>]/.test(head)) {
+            return 'ttml';
+        }
+        if (/^\[Script Info\]/i.test(head) || /^\[(?:V4\+? Styles|Events)\]/im.test(head) || /^Dialogue:\s*\w*\d/m.test(head)) {
+            return 'ass';
+        }
+        if (/^\{\d+\}\{\d*\}/m.test(head)) {
+            return 'microdvd';
+        }
+        if (/^\[INFORMATION\]/i.test(head) || new RegExp(SUBVIEWER_TIMING.source, 'm').test(head)) {
+            return 'subviewer';
+        }
+        if (new RegExp(SRT_TIMING.source, 'm').test(head)) {
+            return 'srt';
+        }
+
+        var extension = String(hint || '').toLowerCase().split(/[?#]/)[0].split('.').pop();
+        return EXTENSIONS[extension] || null;
+    }
+
+    /**
+     * Parse a clock time: [h:]mm:ss[.,]fraction
+     * @returns {number} Milliseconds
+     */
+    function parseClock(value) {
+        var match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d+))?$/.exec(String(value).trim());
+        if (!match) {
+            return NaN;
+        }
+        return ((parseInt(match[1] || '0', 10) * 60 + parseInt(match[2], 10)) * 60 + parseInt(match[3], 10)) * 1000 +
+               (match[4] ? Math.round(parseFloat('0.' + match[4]) * 1000) : 0);
+    }
+
+    /**
+     * Format milliseconds as a WebVTT timestamp (hh:mm:ss.mmm)
+     */
+    function formatTime(ms) {
+        ms = Math.max(0, Math.round(ms));
+        var hours = Math.floor(ms / 3600000);
+        var minutes = Math.floor(ms / 60000) % 60;
+        var seconds = Math.floor(ms / 1000) % 60;
+        return pad(hours, 2) + ':' + pad(minutes, 2) + ':' + pad(seconds, 2) + '.' + pad(ms % 1000, 3);
+    }
+
+    function pad(number, length) {
+        var text = String(number);
+        while (text.length < length) {
+            text = '0' + text;
+        }
+        return text;
+    }
+
+    function escapeCueText(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Get the WebVTT color class of an RGB color
+     */
+    function colorClass(red, green, blue) {
+        var key = (red >= 128 ? '1' : '0') + (green >= 128 ? '1' : '0') + (blue >= 128 ? '1' : '0');
+        return COLOR_CLASSES[key];
+    }
+
+    /**
+     * Get the WebVTT color class of a CSS / HTML color (#rrggbb, #rgb, rgb() or a name)
+     */
+    function cssColorClass(value) {
+        var color = String(value || '').trim().toLowerCase();
+        var match = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/.exec(color);
+
+        if (match) {
+            return colorClass(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10));
+        }
+        match = /^#?([0-9a-f]{6})$/.exec(color);
+        if (match) {
+            var number = parseInt(match[1], 16);
+            return colorClass(number >> 16, (number >> 8) & 255, number & 255);
+        }
+        match = /^#([0-9a-f]{3})$/.exec(color);
+        if (match) {
+            return colorClass(parseInt(match[1][0], 16) * 17, parseInt(match[1][1], 16) * 17, parseInt(match[1][2], 16) * 17);
+        }
+        return COLOR_NAMES[color] ? COLOR_CLASSES[COLOR_NAMES[color]] : null;
+    }
+
+    /**
+     * Get the WebVTT color class of an ASS color (&HAABBGGRR& or a decimal BGR number)
+     */
+    function assColorClass(value) {
+        var text = String(value || '').trim();
+        var number = /^&?H/i.test(text) ? parseInt(text.replace(/[&Hh]/g, ''), 16) : parseInt(text, 10);
+        if (isNaN(number)) {
+            return null;
+        }
+        return colorClass(number & 255, (number >> 8) & 255, (number >> 16) & 255);
+    }
+
+    /**
+     * Builds cue text from text and style changes, keeping tags nested
+     */
+    function createWriter() {
+        var output = '';
+        var stack = [];
+
+        function tagName(entry) {
+            return entry.tag + (entry.className ? '.' + entry.className : '');
+        }
+
+        function open(tag, className) {
+            if (isOpen(tag, className)) {
+                return;
+            }
+            if (tag === 'c') {
+                close('c');
+            }
+            var entry = { tag: tag, className: className || '' };
+            output += '<' + tagName(entry) + '>';
+            stack.push(entry);
+        }
+
+        function close(tag) {
+            var index = -1;
+            for (var i = stack.length - 1; i >= 0 && index === -1; i--) {
+                if (stack[i].tag === tag) {
+                    index = i;
+                }
+            }
+            if (index === -1) {
+                return;
+            }
+
+            var reopen = stack.slice(index + 1);
+            for (var j = stack.length - 1; j >= index; j--) {
+                output += '</' + stack[j].tag + '>';
+            }
+            stack.length = index;
+            reopen.forEach(function(entry) {
+                output += '<' + tagName(entry) + '>';
+                stack.push(entry);
+            });
+        }
+
+        function isOpen(tag, className) {
+            return stack.some(function(entry) {
+                return entry.tag === tag && (className === undefined || entry.className === (className || ''));
+            });
+        }
+
+        function closeAll() {
+            while (stack.length > 0) {
+                output += '</' + stack.pop().tag + '>';
+            }
+        }
+
+        return {
+            open: open,
+            close: close,
+            isOpen: isOpen,
+            closeAll: closeAll,
+            text: function(text) {
+                output += escapeCueText(text);
+            },
+            newline: function() {
+                output += '\n';
+            },
+            done: function() {
+                closeAll();
+                return cleanCueText(output);
+            }
+        };
+    }
+
+    /**
+     * Drop empty tags and blank lines (a blank line would end the cue)
+     */
+    function cleanCueText(text) {
+        var previous;
+        do {
+            previous = text;
+            text = text
+                .replace(/<(\w+)(?:\.[\w-]+)*>([ \t\u00a0]*)<\/\1>/g, '$2')
+                // Tags at line edges move to the text they style
+                .replace(/((?:<[^/>][^>]*>)+)\n/g, '\n$1')
+                .replace(/\n((?:<\/[^>]+>)+)/g, '$1\n');
+        } while (text !== previous);
+
+        return text.split('\n').map(function(line) {
+            return line.replace(/^[ \t]+|[ \t]+$/g, '');
+        }).filter(function(line) {
+            return line.replace(/<[^>]*>/g, '').trim() !== '';
+        }).join('\n');
+    }
+
+    /**
+     * WebVTT cue settings for an ASS numpad alignment (1-9)
+     */
+    function alignmentSettings(alignment) {
+        var settings = {};
+        var row = alignment >= 7 ? 'top' : alignment >= 4 ? 'middle' : 'bottom';
+        var column = (alignment - 1) % 3;
+
+        if (row === 'top') {
+            settings.line = '10%,start';
+        } else if (row === 'middle') {
+            settings.line = '50%,center';
+        }
+        if (column === 0) {
+            settings.position = '10%,line-left';
+            settings.align = 'left';
+        } else if (column === 2) {
+            settings.position = '90%,line-right';
+            settings.align = 'right';
+        }
+        return settings;
+    }
+
+    /**
+     * WebVTT cue settings for an exact position, in percent of the video
+     */
+    function positionSettings(x, y, alignment) {
+        var row = alignment >= 7 ? 'start' : alignment >= 4 ? 'center' : 'end';
+        var column = ['line-left', 'center', 'line-right'][(alignment - 1) % 3];
+        var settings = {
+            line: clampPercent(y) + ',' + row,
+            position: clampPercent(x) + ',' + column
+        };
+        if (column !== 'center') {
+            settings.align = column === 'line-left' ? 'left' : 'right';
+        }
+        return settings;
+    }
+
+    function clampPercent(value) {
+        return Math.round(Math.min(100, Math.max(0, value)) * 100) / 100 + '%';
+    }
+
+    /**
+     * Convert legacy SSA alignment (1-3 bottom, 5-7 top, 9-11 middle) to numpad
+     */
+    function legacyAlignment(value) {
+        return value >= 9 ? value - 5 : value >= 5 ? value + 2 : value;
+    }
+
+    /**
+     * Apply ASS override tags ("\b1\i0\an8", without braces)
+     * @param {Object} state - { writer, alignment, position, drawing, style }
+     */
+    function applyOverrides(block, state) {
+        var tags = block.match(/\\(?:[^\\(]+(?:\([^)]*\))?)/g) || [];
+
+        tags.forEach(function(tag) {
+            // Exact forms only: \b is not \blur, \c is not \clip, \p is not \pos
+            var match = /^\\(?:(an|a|b|i|u|p)(\d+)|(pos|move)(\(.*\))|(1?c)((?:&?H[0-9a-f]+&?)?)|(r)(.*))$/i.exec(tag.trim());
+            if (!match) {
+                return;
+            }
+            var name = (match[1] || match[3] || match[5] || match[7]).toLowerCase();
+            var value = match[2] || match[4] || match[6] || match[8] || '';
+            var number = parseInt(value, 10);
+
+            switch (name) {
+                case 'an':
+                    if (number >= 1 && number <= 9) state.alignment = number;
+                    break;
+                case 'a':
+                    if (number >= 1 && number <= 11) state.alignment = legacyAlignment(number);
+                    break;
+                case 'b':
+                    setTag(state.writer, 'b', number === 1 || number >= 500);
+                    break;
+                case 'i':
+                    setTag(state.writer, 'i', number === 1);
+                    break;
+                case 'u':
+                    setTag(state.writer, 'u', number === 1);
+                    break;
+                case 'pos':
+                case 'move':
+                    var coordinates = value.replace(/[()\s]/g, '').split(',').map(parseFloat);
+                    if (!isNaN(coordinates[0]) && !isNaN(coordinates[1])) {
+                        state.position = { x: coordinates[0], y: coordinates[1] };
+                    }
+                    break;
+                case '1c':
+                case 'c':
+                    var color = value ? assColorClass(value) : state.style.color;
+                    if (color && color !== 'white') {
+                        state.writer.open('c', color);
+                    } else {
+                        state.writer.close('c');
+                    }
+                    break;
+                case 'p':
+                    state.drawing = number > 0;
+                    break;
+                case 'r':
+                    state.writer.closeAll();
+                    openStyle(state.writer, state.style);
+                    break;
+            }
+        });
+    }
+
+    function setTag(writer, tag, on) {
+        if (on) {
+            writer.open(tag);
+        } else {
+            writer.close(tag);
+        }
+    }
+
+    function openStyle(writer, style) {
+        if (style.bold) writer.open('b');
+        if (style.italic) writer.open('i');
+        if (style.underline) writer.open('u');
+        if (style.color && style.color !== 'white') writer.open('c', style.color);
+    }
+
+    /**
+     * Write ASS-style text ({\tags}, \N line breaks) into a cue
+     * @param {boolean} [keepBraces] - Show "{...}" without tags as text (SRT) instead of as a comment (ASS)
+     * @returns {Object} { text, settings }
+     */
+    function writeASSText(text, style, playRes, keepBraces) {
+        var state = {
+            writer: createWriter(),
+            alignment: style.alignment || 2,
+            position: null,
+            drawing: false,
+            style: style
+        };
+        openStyle(state.writer, style);
+
+        var parts = text.split(/(\{[^}]*\})/);
+        parts.forEach(function(part) {
+            if (/^\{[^}]*\}$/.test(part) && (!keepBraces || part.charAt(1) === '\\')) {
+                applyOverrides(part.substring(1, part.length - 1), state);
+                return;
+            }
+            if (state.drawing) {
+                return;
+            }
+
+            var lines = part.replace(/\\h/g, '\u00a0').replace(/\\n/g, ' ').split(/\\N/);
+            lines.forEach(function(line, index) {
+                if (index > 0) {
+                    state.writer.newline();
+                }
+                writeTaggedText(state.writer, line);
+            });
+        });
+
+        var settings = state.position && playRes ?
+            positionSettings(state.position.x / playRes.x * 100, state.position.y / playRes.y * 100, state.alignment) :
+            alignmentSettings(state.alignment);
+
+        return { text: state.writer.done(), settings: settings };
+    }
+
+    /**
+     * Write text with HTML-like tags (<b>, <i>, <u>, <font color>) as used in SRT
+     */
+    function writeTaggedText(writer, text) {
+        var parts = text.split(/(<\/?[a-z]+(?:\s[^>]*)?>)/i);
+
+        parts.forEach(function(part) {
+            var match = /^<(\/?)([a-z]+)(\s[^>]*)?>$/i.exec(part);
+            if (!match) {
+                writer.text(part);
+                return;
+            }
+
+            var closing = match[1] === '/';
+            var tag = match[2].toLowerCase();
+
+            if (tag === 'b' || tag === 'i' || tag === 'u') {
+                setTag(writer, tag, !closing);
+            } else if (tag === 'font') {
+                var color = /color\s*=\s*["']?([#\w]+)/i.exec(match[3] || '');
+                var className = color ? cssColorClass(color[1]) : null;
+                if (closing) {
+                    writer.close('c');
+                } else if (className && className !== 'white') {
+                    writer.open('c', className);
+                }
+            } else if (tag === 'br') {
+                writer.newline();
+            }
+        });
+    }
+
+    /**
+     * Parse SRT (SubRip)
+     * Cue numbers and blank lines are optional; text runs up to the next timing line.
+     */
+    function parseSRT(content) {
+        var lines = normalizeText(content).split('\n');
+        var cues = [];
+        var current = null;
+
+        function finish(beforeTiming) {
+            if (!current) {
+                return;
+            }
+            // A number directly before the next timing line is that cue's number
+            var lines = current.lines;
+            if (beforeTiming && lines.length > 0 && /^\s*\d+\s*$/.test(lines[lines.length - 1])) {
+                lines.pop();
+            }
+            while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+                lines.pop();
+            }
+            var cue = writeASSText(current.lines.join('\\N'), { alignment: 2 }, null, true);
+            cues.push({ start: current.start, end: current.end, text: cue.text, settings: cue.settings });
+            current = null;
+        }
+
+        lines.forEach(function(line) {
+            var timing = SRT_TIMING.exec(line);
+            if (timing) {
+                finish(true);
+                current = { start: parseClock(timing[1]), end: parseClock(timing[2]), lines: [] };
+            } else if (current) {
+                current.lines.push(line);
+            }
+        });
+        finish();
+
+        return cues;
+    }
+
+    /**
+     * Split a comma separated line into a fixed number of fields (the last one keeps its commas)
+     */
+    function splitFields(line, count) {
+        var fields = [];
+        var rest = line;
+        for (var i = 0; i < count - 1; i++) {
+            var index = rest.indexOf(',');
+            if (index === -1) {
+                break;
+            }
+            fields.push(rest.substring(0, index).trim());
+            rest = rest.substring(index + 1);
+        }
+        fields.push(count - 1 === fields.length ? rest : rest.trim());
+        return fields;
+    }
+
+    /**
+     * Parse ASS / SSA (Advanced SubStation Alpha)
+     */
+    function parseASS(content) {
+        var lines = normalizeText(content).split('\n');
+        var section = '';
+        var legacy = false;
+        var playRes = { x: 0, y: 0 };
+        var styleFormat = null;
+        var eventFormat = null;
+        var styles = {};
+        var cues = [];
+
+        lines.forEach(function(line) {
+            var header = /^\s*\[([^\]]+)\]\s*$/.exec(line);
+            if (header) {
+                section = header[1].toLowerCase();
+                legacy = legacy || section === 'v4 styles';
+                return;
+            }
+
+            var entry = /^\s*([^:;]+):\s?(.*)$/.exec(line);
+            if (!entry) {
+                return;
+            }
+            var key = entry[1].trim().toLowerCase();
+            var value = entry[2];
+
+            if (section === 'script info') {
+                if (key === 'playresx') playRes.x = parseFloat(value);
+                if (key === 'playresy') playRes.y = parseFloat(value);
+            } else if (section.indexOf('styles') !== -1) {
+                if (key === 'format') {
+                    styleFormat = splitFields(value, 100).map(function(field) { return field.toLowerCase(); });
+                } else if (key === 'style' && styleFormat) {
+                    var style = toObject(styleFormat, splitFields(value, styleFormat.length));
+                    var alignment = parseInt(style.alignment, 10) || 2;
+                    styles[style.name] = {
+                        bold: isFlagSet(style.bold),
+                        italic: isFlagSet(style.italic),
+                        underline: isFlagSet(style.underline),
+                        color: style.primarycolour ? assColorClass(style.primarycolour) : null,
+                        alignment: legacy ? legacyAlignment(alignment) : alignment
+                    };
+                }
+            } else if (section === 'events') {
+                if (key === 'format') {
+                    eventFormat = splitFields(value, 100).map(function(field) { return field.toLowerCase(); });
+                } else if (key === 'dialogue') {
+                    var event = toObject(eventFormat || ['layer', 'start', 'end', 'style', 'name',
+                        'marginl', 'marginr', 'marginv', 'effect', 'text'], splitFields(value, (eventFormat || []).length || 10));
+                    var eventStyle = styles[(event.style || '').replace(/^\*/, '')] || styles.Default || { alignment: 2 };
+                    var cue = writeASSText(event.text || '', eventStyle, playRes.x && playRes.y ? playRes : null);
+
+                    cues.push({
+                        start: parseClock(event.start),
+                        end: parseClock(event.end),
+                        text: cue.text,
+                        settings: cue.settings
+                    });
+                }
+            }
+        });
+
+        return cues;
+    }
+
+    function toObject(keys, values) {
+        var object = {};
+        keys.forEach(function(key, index) {
+            object[key] = values[index];
+        });
+        return object;
+    }
+
+    function isFlagSet(value) {
+        return value !== undefined && parseInt(value, 10) !== 0;
+    }
+
+    /**
+     * Parse MicroDVD ({startFrame}{endFrame}text)
+     * @param {Object} [options] - fps (otherwise taken from a "{1}{1}25" first line, or 23.976)
+     */
+    function parseMicroDVD(content, options) {
+        var lines = normalizeText(content).split('\n');
+        var fps = options && options.fps;
+        var entries = [];
+
+        lines.forEach(function(line) {
+            var match = MICRODVD_LINE.exec(line.trim());
+            if (!match) {
+                return;
+            }
+            // The first line may give the frame rate instead of text
+            if (entries.length === 0 && !fps && /^\d+(\.\d+)?$/.test(match[3].trim()) && parseInt(match[1], 10) <= 1) {
+                fps = parseFloat(match[3]);
+                return;
+            }
+            entries.push({ start: parseInt(match[1], 10), end: match[2] ? parseInt(match[2], 10) : null, text: match[3] });
+        });
+
+        fps = fps || DEFAULT_FPS;
+
+        return entries.map(function(entry, index) {
+            var start = entry.start / fps * 1000;
+            var next = entries[index + 1] ? entries[index + 1].start / fps * 1000 : Infinity;
+            var end = entry.end !== null ? entry.end / fps * 1000 : Math.min(start + DEFAULT_DURATION, next);
+
+            return { start: start, end: end, text: writeMicroDVDText(entry.text), settings: {} };
+        });
+    }
+
+    /**
+     * Write MicroDVD text: "|" breaks lines, {y:i} styles a line, {Y:i} the whole cue
+     */
+    function writeMicroDVDText(text) {
+        var writer = createWriter();
+        var cueStyles = [];
+        var cueColor = null;
+
+        text.split('|').forEach(function(line, index) {
+            var lineStyles = [];
+            var lineColor = null;
+
+            line = line.replace(/\{([a-zA-Z]):([^}]*)\}/g, function(all, code, value) {
+                var global = code === code.toUpperCase();
+                code = code.toLowerCase();
+                if (code === 'y') {
+                    value.toLowerCase().split(',').forEach(function(style) {
+                        var tag = { i: 'i', b: 'b', u: 'u' }[style.trim()];
+                        if (tag) {
+                            (global ? cueStyles : lineStyles).push(tag);
+                        }
+                    });
+                } else if (code === 'c') {
+                    var color = assColorClass('&H' + value.replace(/^\$/, ''));
+                    if (global) cueColor = color; else lineColor = color;
+                }
+                return '';
+            });
+
+            // A leading "/" is italic in many MicroDVD files
+            if (line.charAt(0) === '/') {
+                lineStyles.push('i');
+                line = line.substring(1);
+            }
+
+            if (index > 0) {
+                writer.newline();
+            }
+            writer.closeAll();
+            cueStyles.concat(lineStyles).forEach(function(tag) {
+                writer.open(tag);
+            });
+            var color = lineColor || cueColor;
+            if (color && color !== 'white') {
+                writer.open('c', color);
+            }
+            writer.text(line);
+        });
+
+        return writer.done();
+    }
+
+    /**
+     * Parse SubViewer 2 / YouTube SBV (start,end line, then text; [br] breaks lines)
+     */
+    function parseSubViewer(content) {
+        var lines = normalizeText(content).split('\n');
+        var cues = [];
+        var current = null;
+
+        function finish() {
+            if (current) {
+                var writer = createWriter();
+                writeTaggedText(writer, current.lines.join('\n').replace(/\[br\]/gi, '\n'));
+                cues.push({ start: current.start, end: current.end, text: writer.done(), settings: {} });
+                current = null;
+            }
+        }
+
+        lines.forEach(function(line) {
+            var timing = SUBVIEWER_TIMING.exec(line);
+            if (timing) {
+                finish(true);
+                current = { start: parseClock(timing[1]), end: parseClock(timing[2]), lines: [] };
+            } else if (current && line.trim() === '') {
+                finish();
+            } else if (current) {
+                current.lines.push(line);
+            }
+        });
+        finish();
+
+        return cues;
+    }
+
+    /**
+     * Get an attribute by local name, whatever its namespace prefix (tts:, ttp:, xml:)
+     */
+    function getAttribute(node, name) {
+        if (!node || !node.attributes) {
+            return null;
+        }
+        for (var i = 0; i < node.attributes.length; i++) {
+            var attribute = node.attributes[i];
+            if ((attribute.localName || attribute.name.split(':').pop()) === name) {
+                return attribute.value;
+            }
+        }
+        return null;
+    }
+
+    function getLocalName(node) {
+        return (node.localName || node.nodeName.split(':').pop()).toLowerCase();
+    }
+
+    /**
+     * Parse a TTML time expression (clock time or offset like "12.5s", "300ms", "25f", "1000t")
+     * @returns {number} Milliseconds, NaN when missing or invalid
+     */
+    function parseTTMLTime(value, timing) {
+        if (!value) {
+            return NaN;
+        }
+        var text = value.trim();
+        var frames = /^(\d+):(\d{2}):(\d{2}):(\d+(?:\.\d+)?)$/.exec(text);
+        if (frames) {
+            return parseClock(frames[1] + ':' + frames[2] + ':' + frames[3]) + parseFloat(frames[4]) / timing.frameRate * 1000;
+        }
+
+        var offset = /^(\d+(?:\.\d+)?)(h|ms|m|s|f|t)$/.exec(text);
+        if (offset) {
+            var number = parseFloat(offset[1]);
+            switch (offset[2]) {
+                case 'h': return number * 3600000;
+                case 'm': return number * 60000;
+                case 's': return number * 1000;
+                case 'ms': return number;
+                case 'f': return number / timing.frameRate * 1000;
+                case 't': return number / timing.tickRate * 1000;
+            }
+        }
+        return parseClock(text);
+    }
+
+    /**
+     * Parse TTML / DFXP
+     */
+    function parseTTML(content) {
+        var doc = new DOMParser().parseFromString(normalizeText(content).replace(/^\s+/, ''), 'text/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Invalid TTML document');
+        }
+
+        var root = doc.documentElement;
+        var frameRate = parseFloat(getAttribute(root, 'frameRate'));
+        var multiplier = (getAttribute(root, 'frameRateMultiplier') || '1 1').split(/\s+/).map(parseFloat);
+        var timing = {
+            frameRate: (frameRate || 30) * (multiplier[0] / (multiplier[1] || 1) || 1),
+            tickRate: parseFloat(getAttribute(root, 'tickRate')) || frameRate || 1
+        };
+        var extent = parseLengths(getAttribute(root, 'extent'), null);
+
+        var styles = {};
+        var regions = {};
+        var elements = doc.getElementsByTagName('*');
+        for (var i = 0; i < elements.length; i++) {
+            var id = getAttribute(elements[i], 'id');
+            var name = getLocalName(elements[i]);
+            if (id && name === 'style') {
+                styles[id] = elements[i];
+            } else if (id && name === 'region') {
+                regions[id] = elements[i];
+            }
+        }
+
+        var cues = [];
+        for (var j = 0; j < elements.length; j++) {
+            if (getLocalName(elements[j]) === 'p') {
+                var cue = parseTTMLParagraph(elements[j], timing, styles, regions, extent);
+                if (cue) {
+                    cues.push(cue);
+                }
+            }
+        }
+        return cues;
+    }
+
+    /**
+     * Parse "x y" lengths in percent or pixels (pixels need the root extent)
+     * @returns {Array|null} [x, y] in percent
+     */
+    function parseLengths(value, extent) {
+        var parts = String(value || '').trim().split(/\s+/);
+        if (parts.length !== 2) {
+            return null;
+        }
+        var result = parts.map(function(part, index) {
+            var match = /^(-?\d+(?:\.\d+)?)(%|px)$/.exec(part);
+            if (!match) {
+                return NaN;
+            }
+            if (match[2] === '%') {
+                return parseFloat(match[1]);
+            }
+            // Without a stated extent the root extent itself is in pixels
+            return extent ? parseFloat(match[1]) / extent[index] * 100 : parseFloat(match[1]);
+        });
+        return isNaN(result[0]) || isNaN(result[1]) ? null : result;
+    }
+
+    /**
+     * Get the computed style of a TTML element: referenced styles, then its own tts: attributes
+     */
+    function getTTMLStyle(node, styles, seen) {
+        var style = {};
+        seen = seen || {};
+
+        (getAttribute(node, 'style') || '').split(/\s+/).forEach(function(id) {
+            if (id && styles[id] && !seen[id]) {
+                seen[id] = true;
+                Object.assign(style, getTTMLStyle(styles[id], styles, seen));
+            }
+        });
+
+        ['fontStyle', 'fontWeight', 'textDecoration', 'color', 'textAlign', 'displayAlign', 'origin', 'extent'].forEach(function(name) {
+            var value = getAttribute(node, name);
+            if (value) {
+                style[name] = value;
+            }
+        });
+        return style;
+    }
+
+    /**
+     * Parse one <p> into a cue, with timing and styles inherited from <body> and <div>
+     */
+    function parseTTMLParagraph(paragraph, timing, styles, regions, extent) {
+        var ancestors = [];
+        for (var node = paragraph.parentNode; node && node.nodeType === 1; node = node.parentNode) {
+            ancestors.unshift(node);
+        }
+
+        var offset = 0;
+        var style = {};
+        var regionId = null;
+        ancestors.concat([paragraph]).forEach(function(element) {
+            var name = getLocalName(element);
+            if (element !== paragraph && (name === 'body' || name === 'div')) {
+                offset += parseTTMLTime(getAttribute(element, 'begin'), timing) || 0;
+            }
+            if (name === 'body' || name === 'div' || name === 'p') {
+                Object.assign(style, getTTMLStyle(element, styles));
+                regionId = getAttribute(element, 'region') || regionId;
+            }
+        });
+
+        var begin = parseTTMLTime(getAttribute(paragraph, 'begin'), timing);
+        var end = parseTTMLTime(getAttribute(paragraph, 'end'), timing);
+        var duration = parseTTMLTime(getAttribute(paragraph, 'dur'), timing);
+        if (isNaN(begin)) {
+            return null;
+        }
+        if (isNaN(end)) {
+            end = isNaN(duration) ? NaN : begin + duration;
+        }
+        if (isNaN(end)) {
+            return null;
+        }
+
+        var region = regionId && regions[regionId] ? getTTMLStyle(regions[regionId], styles) : {};
+        var cueStyle = Object.assign({}, region, style);
+
+        var writer = createWriter();
+        writeTTMLNode(writer, paragraph, cueStyle, styles, true);
+
+        return {
+            start: offset + begin,
+            end: offset + end,
+            text: writer.done(),
+            settings: ttmlSettings(cueStyle, extent)
+        };
+    }
+
+    /**
+     * Write the text of a TTML element, with <span> styles and <br/> line breaks
+     */
+    function writeTTMLNode(writer, element, style, styles, isParagraph) {
+        var tags = [];
+
+        if (/italic|oblique/.test(style.fontStyle || '')) tags.push(['i']);
+        if (style.fontWeight === 'bold') tags.push(['b']);
+        if (/underline/.test(style.textDecoration || '') && !/noUnderline/.test(style.textDecoration)) tags.push(['u']);
+        var color = cssColorClass((style.color || '').replace(/^(#[0-9a-f]{6})[0-9a-f]{2}$/i, '$1'));
+        if (color && color !== 'white') tags.push(['c', color]);
+
+        var opened = tags.filter(function(tag) {
+            return !writer.isOpen(tag[0], tag[1]);
+        });
+        opened.forEach(function(tag) {
+            writer.open(tag[0], tag[1]);
+        });
+
+        for (var i = 0; i < element.childNodes.length; i++) {
+            var child = element.childNodes[i];
+            if (child.nodeType === 3 || child.nodeType === 4) {
+                writer.text(child.nodeValue.replace(/\s+/g, ' '));
+            } else if (child.nodeType === 1) {
+                var name = getLocalName(child);
+                if (name === 'br') {
+                    writer.newline();
+                } else if (name === 'span') {
+                    writeTTMLNode(writer, child, Object.assign({}, style, getTTMLStyle(child, styles)), styles, false);
+                }
+            }
+        }
+
+        if (!isParagraph) {
+            opened.slice().reverse().forEach(function(tag) {
+                writer.close(tag[0]);
+            });
+        }
+    }
+
+    /**
+     * WebVTT cue settings for TTML alignment and region
+     */
+    function ttmlSettings(style, extent) {
+        var settings = {};
+        var align = { left: 'left', start: 'left', right: 'right', end: 'right' }[style.textAlign];
+        var origin = parseLengths(style.origin, extent);
+        var size = parseLengths(style.extent, extent);
+
+        if (origin && size) {
+            var display = style.displayAlign || 'before';
+            var y = display === 'after' ? origin[1] + size[1] : display === 'center' ? origin[1] + size[1] / 2 : origin[1];
+            settings.line = clampPercent(y) + ',' + (display === 'after' ? 'end' : display === 'center' ? 'center' : 'start');
+
+            var x = align === 'left' ? origin[0] : align === 'right' ? origin[0] + size[0] : origin[0] + size[0] / 2;
+            settings.position = clampPercent(x) + ',' + (align === 'left' ? 'line-left' : align === 'right' ? 'line-right' : 'center');
+            settings.size = clampPercent(size[0]);
+        } else if (style.displayAlign === 'before') {
+            settings.line = '10%,start';
+        } else if (style.displayAlign === 'center') {
+            settings.line = '50%,center';
+        }
+
+        if (align) {
+            settings.align = align;
+        }
+        return settings;
+    }
+
+    /**
+     * Parse WebVTT, keeping cue settings and the cue text's WebVTT markup
+     * NOTE, STYLE and REGION blocks and cue identifiers are dropped; any other markup
+     * in cue text (e.g. HTML tags) is escaped so it shows as text.
+     */
+    function parseVTT(content) {
+        var blocks = normalizeText(content).split(/\n[ \t]*\n/);
+        var cues = [];
+
+        blocks.slice(1).forEach(function(block) {
+            var lines = block.replace(/^\n+/, '').split('\n');
+            var timingIndex = lines[0].indexOf('-->') !== -1 ? 0 : lines.length > 1 && lines[1].indexOf('-->') !== -1 ? 1 : -1;
+            if (timingIndex === -1) {
+                return;
+            }
+
+            var timing = /^\s*(\S+)\s+-->\s+(\S+)(.*)$/.exec(lines[timingIndex]);
+            if (!timing) {
+                return;
+            }
+
+            var settings = {};
+            timing[3].trim().split(/\s+/).forEach(function(setting) {
+                var index = setting.indexOf(':');
+                if (index > 0) {
+                    settings[setting.substring(0, index)] = setting.substring(index + 1);
+                }
+            });
+
+            cues.push({
+                start: parseClock(timing[1]),
+                end: parseClock(timing[2]),
+                text: cleanVTTText(lines.slice(timingIndex + 1).join('\n')),
+                settings: settings
+            });
+        });
+
+        return cues;
+    }
+
+    /**
+     * Escape everything in WebVTT cue text but its own tags, timestamps and entities
+     */
+    function cleanVTTText(text) {
+        return text.split(/(<[^>]*>)/).map(function(part) {
+            if (part.charAt(0) === '<') {
+                return VTT_TAG.test(part) ? part : escapeCueText(part);
+            }
+            return part
+                .replace(/&(?!(amp|lt|gt|nbsp|lrm|rlm|#\d+|#x[0-9a-f]+);)/gi, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;');
+        }).join('');
+    }
+
+    /**
+     * Parse subtitles into cues
+     * @param {string} content - Subtitle file content
+     * @param {string} format - Format from detectFormat
+     * @param {Object} [options] - fps for MicroDVD
+     * @returns {Array} Cues: { start, end (ms), text (WebVTT cue text), settings }
+     */
+    function parse(content, format, options) {
+        switch (format) {
+            case 'vtt': return parseVTT(content);
+            case 'srt': return parseSRT(content);
+            case 'ass': return parseASS(content);
+            case 'microdvd': return parseMicroDVD(content, options);
+            case 'subviewer': return parseSubViewer(content);
+            case 'ttml': return parseTTML(content);
+            default: throw new Error('Unsupported subtitle format: ' + format);
+        }
+    }
+
+    /**
+     * Write cues as a WebVTT file
+     * Cues without text or with an invalid time are left out.
+     */
+    function toVTT(cues) {
+        var blocks = cues.filter(function(cue) {
+            return cue.text && isFinite(cue.start) && isFinite(cue.end) && cue.end > cue.start;
+        }).map(function(cue, index) {
+            return { cue: cue, index: index };
+        }).sort(function(a, b) {
+            return a.cue.start - b.cue.start || a.index - b.index;
+        }).map(function(entry) {
+            var cue = entry.cue;
+            var settings = cue.settings || {};
+            var text = ['vertical', 'line', 'position', 'size', 'align', 'region'].filter(function(name) {
+                return settings[name];
+            }).map(function(name) {
+                return ' ' + name + ':' + settings[name];
+            }).join('');
+
+            return formatTime(cue.start) + ' --> ' + formatTime(cue.end) + text + '\n' + cue.text;
+        });
+
+        return 'WEBVTT\n\n' + blocks.join('\n\n') + '\n';
+    }
+
+    /**
+     * Convert subtitles to WebVTT, detecting the format from the content
+     * @param {string} content - Subtitle file content
+     * @param {Object} [options] - hint (file name or format, for content that is not recognized), fps
+     * @returns {string} WebVTT content
+     */
+    function convert(content, options) {
+        options = options || {};
+
+        var format = detectFormat(content, options.hint);
+        if (!format) {
+            throw new Error('Unrecognized subtitle format');
+        }
+        var cues = parse(content, format, options);
+        if (cues.length === 0) {
+            throw new Error('No subtitles found in the ' + format.toUpperCase() + ' file');
+        }
+        return toVTT(cues);
+    }
+
+    // Public API
+    return {
+        detectFormat: detectFormat,
+        parse: parse,
+        toVTT: toVTT,
+        convert: convert
+    };
+})();
@@ -6,11 +6,25 @@
 var SubtitleManager = (function() {
     'use strict';
 
+    // Files in archives that can be converted (MicroDVD files are often .txt)
+    var SUBTITLE_EXTENSIONS = /\.(srt|ass|ssa|sub|vtt|sbv|ttml|dfxp|xml|txt)$/i;
+    // How languages appear in file names, besides the two-letter code
+    var LANGUAGE_NAMES = {
+        en: ['eng', 'english'], ar: ['ara', 'arabic'], es: ['spa', 'spanish', 'espanol'],
+        fr: ['fre', 'fra', 'french', 'francais'], de: ['ger', 'deu', 'german', 'deutsch'],
+        it: ['ita', 'italian'], pt: ['por', 'portuguese', 'pob'], ru: ['rus', 'russian'],
+        zh: ['chi', 'zho', 'chinese'], ja: ['jpn', 'japanese'], ko: ['kor', 'korean'],
+        hi: ['hin', 'hindi'], tr: ['tur', 'turkish'], fa: ['per', 'fas', 'persian', 'farsi'],
+        he: ['heb', 'hebrew'], el: ['gre', 'ell', 'greek'], nl: ['dut', 'nld', 'dutch'],
+        pl: ['pol', 'polish'], ro: ['rum', 'ron', 'romanian'], sv: ['swe', 'swedish']
+    };
+
     /**
      * Search for subtitles by query and language
-     * @param {string} query - Movie/show name or IMDB ID
+     * @param {string|Object} query - Movie/show name or IMDB ID, or search parameters:
+     *                                { query, imdbId, tmdbId, season, episode, moviehash }
      * @param {string} language - Language code (en, ar, es, etc.)
-     * @returns {Promise<Array>} Array of subtitle results
+     * @returns {Promise<Array>} Array of subtitle results; fails when nothing was found and a server failed
      */
     async function searchSubtitles(query, language) {
         var servers = IPTVStorage.getSubtitleServers();
@@ -20,6 +34,7 @@ var SubtitleManager = (function() {
         }
 
         var allResults = [];
+        var errors = [];
 
         for (var i = 0; i < servers.length; i++) {
             var server = servers[i];
@@ -34,191 +49,158 @@ var SubtitleManager = (function() {
                 allResults = allResults.concat(results);
             } catch (e) {
                 console.error('Error searching on server ' + server.name + ':', e);
+                errors.push(server.name + ': ' + e.message);
             }
         }
 
+        // A login or rate limit problem should not look like "no subtitles"
+        if (allResults.length === 0 && errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+
         return allResults;
     }
 
     /**
-     * Search on specific server
+     * Search on specific server, through the provider of its server type
      */
     async function searchOnServer(server, query, language) {
-        switch (server.serverType) {
-            case 'opensubtitles':
-                return await searchOpenSubtitles(server, query, language);
-            case 'custom':
-                return await searchCustomAPI(server, query, language);
-            case 'local':
-                return getLocalSubtitles(language);
-            default:
-                return [];
-        }
+        return await SubtitleProviders.search(server, query, language);
     }
 
     /**
-     * Search OpenSubtitles API
+     * Download subtitle file as text
+     * From a ZIP or gzip download the file best matching the language and episode is used.
+     * @param {Object} subtitle - Search result
+     * @param {Object} [options] - charset (overrides detection; 'auto' detects),
+     *                             query (text naming the episode), fileName (file in an archive)
      */
-    async function searchOpenSubtitles(server, query, language) {
-        if (!server.apiKey) {
-            throw new Error('OpenSubtitles requires an API key');
-        }
-
-        var url = (server.apiUrl || 'https://api.opensubtitles.com/api/v1') +
-                  '/subtitles?query=' + encodeURIComponent(query) +
-                  '&languages=' + language;
-
-        var response = await fetch(url, {
-            headers: {
-                'Api-Key': server.apiKey,
-                'Content-Type': 'application/json'
-            }
-        });
-
-        if (!response.ok) {
-            throw new Error('OpenSubtitles API error: ' + response.status);
-        }
+    async function downloadSubtitle(subtitle, options) {
+        options = options || {};
 
-        var data = await response.json();
+        var bytes = await downloadSubtitleFile(subtitle);
+        var files = await getSubtitleFiles(bytes, subtitle, options.query);
+        var file = files.filter(function(f) { return f.name === options.fileName; })[0] || files[0];
 
-        if (!data.data || !Array.isArray(data.data)) {
-            return [];
-        }
-
-        return data.data.map(function(sub) {
-            return {
-                id: sub.attributes.files[0].file_id,
-                name: sub.attributes.release || sub.attributes.feature_details.title,
-                language: sub.attributes.language,
-                downloads: sub.attributes.download_count,
-                url: sub.attributes.files[0].file_id, // Will be used to download
-                format: sub.attributes.files[0].file_name.split('.').pop(),
-                serverType: 'opensubtitles',
-                serverInfo: server
-            };
-        });
+        return decodeSubtitle(file.bytes, subtitle, options.charset).content;
     }
 
     /**
-     * Search custom API
+     * Download subtitle file as bytes, to be decoded with decodeSubtitle
+     * @returns {Promise<Uint8Array>}
      */
-    async function searchCustomAPI(server, query, language) {
-        var url = server.apiUrl + '?query=' + encodeURIComponent(query) + '&lang=' + language;
+    async function downloadSubtitleFile(subtitle) {
+        return await SubtitleProviders.download(subtitle);
+    }
 
-        var headers = {};
-        if (server.apiKey) {
-            headers['Authorization'] = 'Bearer ' + server.apiKey;
+    /**
+     * Get the subtitle files of a download: the files of a ZIP / gzip archive, or the download itself
+     * @param {Uint8Array} bytes - Downloaded file
+     * @param {Object} subtitle - Search result (language, name, fileName)
+     * @param {string} [query] - Search text, to find the episode (S01E02, 1x02)
+     * @returns {Promise<Array>} Files: { name, bytes }, best match first
+     */
+    async function getSubtitleFiles(bytes, subtitle, query) {
+        var type = ArchiveExtractor.getType(bytes);
+        if (!type) {
+            return [{ name: subtitle.fileName || '', bytes: bytes }];
         }
 
-        var response = await fetch(url, { headers: headers });
-
-        if (!response.ok) {
-            throw new Error('Custom API error: ' + response.status);
+        var files = await ArchiveExtractor.extract(bytes, subtitle.fileName || subtitle.url);
+        if (type === 'zip') {
+            files = files.filter(function(file) {
+                return SUBTITLE_EXTENSIONS.test(file.name);
+            });
+        }
+        if (files.length === 0) {
+            throw new Error('The archive holds no subtitle files');
         }
 
-        var data = await response.json();
-
-        // Expected format: array of {name, url, language, format}
-        return data.map(function(sub) {
-            return {
-                id: sub.id || sub.url,
-                name: sub.name,
-                language: sub.language || language,
-                url: sub.url,
-                format: sub.format || 'srt',
-                serverType: 'custom',
-                serverInfo: server
-            };
-        });
+        return rankSubtitleFiles(files, subtitle.language, query || subtitle.name);
     }
 
     /**
-     * Get local subtitles
+     * Order files by how well their names match the language and episode
      */
-    function getLocalSubtitles(language) {
-        var localSubs = IPTVStorage.getLocalSubtitles();
+    function rankSubtitleFiles(files, language, text) {
+        var code = String(language || '').toLowerCase().split(/[-_]/)[0];
+        var episode = parseEpisode(text);
+
+        return files.map(function(file, index) {
+            var words = file.name.toLowerCase().replace(SUBTITLE_EXTENSIONS, '').split(/[^a-z0-9]+/);
+            var score = 0;
+
+            Object.keys(LANGUAGE_NAMES).forEach(function(key) {
+                // Two-letter codes only count at the end ("movie.ar.srt"); "it" is also a word
+                var named = words[words.length - 1] === key || LANGUAGE_NAMES[key].some(function(name) {
+                    return words.indexOf(name) !== -1;
+                });
+                if (named) {
+                    score += key === code ? 2 : -1;
+                }
+            });
 
-        return localSubs.filter(function(sub) {
-            return sub.language === language;
+            var fileEpisode = parseEpisode(file.name);
+            if (episode && fileEpisode) {
+                score += episode.season === fileEpisode.season && episode.episode === fileEpisode.episode ? 3 : -3;
+            }
+
+            return { file: file, index: index, score: score };
+        }).sort(function(a, b) {
+            return b.score - a.score || a.index - b.index;
+        }).map(function(entry) {
+            return entry.file;
         });
     }
 
     /**
-     * Download subtitle file
+     * Find season and episode in a name (S01E02, 1x02)
+     * @returns {Object|null} { season, episode }
      */
-    async function downloadSubtitle(subtitle) {
-        if (subtitle.serverType === 'opensubtitles') {
-            return await downloadFromOpenSubtitles(subtitle);
-        } else if (subtitle.serverType === 'custom' || subtitle.serverType === 'local') {
-            return await downloadFromURL(subtitle.url);
-        }
-
-        throw new Error('Unknown server type');
+    function parseEpisode(text) {
+        var match = /s(\d{1,2})[ ._-]?e(\d{1,3})/i.exec(text || '') || /\b(\d{1,2})x(\d{2,3})\b/i.exec(text || '');
+        return match ? { season: parseInt(match[1], 10), episode: parseInt(match[2], 10) } : null;
     }
 
     /**
-     * Download from OpenSubtitles
+     * Decode a downloaded subtitle file to text
+     * The character set is detected from the bytes and the subtitle language
+     * (Arabic files are mostly Windows-1256, Turkish Windows-1254, ...)
+     * @param {Uint8Array} bytes - File content
+     * @param {Object} subtitle - Search result (language)
+     * @param {string} [charset] - Character set to use instead of detection
+     * @returns {Object} { content, charset }
      */
-    async function downloadFromOpenSubtitles(subtitle) {
-        var url = (subtitle.serverInfo.apiUrl || 'https://api.opensubtitles.com/api/v1') +
-                  '/download';
-
-        var response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Api-Key': subtitle.serverInfo.apiKey,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                file_id: subtitle.url
-            })
-        });
-
-        if (!response.ok) {
-            throw new Error('Download failed: ' + response.status);
-        }
-
-        var data = await response.json();
-
-        // Get the download link
-        if (data.link) {
-            return await downloadFromURL(data.link);
-        }
-
-        throw new Error('No download link provided');
+    function decodeSubtitle(bytes, subtitle, charset) {
+        var decoded = SubtitleCharset.decode(bytes, { language: subtitle.language, charset: charset });
+        return { content: decoded.text, charset: decoded.charset };
     }
 
     /**
-     * Download from direct URL
+     * Convert subtitle format (SRT to VTT)
      */
-    async function downloadFromURL(url) {
-        var response = await fetch(url);
-
-        if (!response.ok) {
-            throw new Error('Download failed: ' + response.status);
-        }
-
-        var content = await response.text();
-        return content;
+    function convertSRTtoVTT(srtContent) {
+        return SubtitleConverter.convert(srtContent, { hint: 'srt' });
     }
 
     /**
-     * Convert subtitle format (SRT to VTT)
+     * Convert a downloaded subtitle to WebVTT, whatever its format
+     * @param {string} content - Subtitle file content
+     * @param {Object|string} [subtitle] - Search result (fileName, format) or a format, used
+     *                                     when the content does not tell the format
      */
-    function convertSRTtoVTT(srtContent) {
-        // Add WEBVTT header
-        var vtt = 'WEBVTT\n\n';
-
-        // Replace timestamps: 00:00:00,000 --> 00:00:00.000
-        vtt += srtContent.replace(/(\d{2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2');
-
-        return vtt;
+    function convertToVTT(content, subtitle) {
+        var hint = subtitle && typeof subtitle === 'object' ? subtitle.fileName || subtitle.format : subtitle;
+        return SubtitleConverter.convert(content, { hint: hint });
     }
 
     /**
      * Save subtitle for offline use
+     * @param {string} [source] - Downloaded text before conversion; a MicroDVD file is saved
+     *                            instead of the WebVTT, so its frame numbers can be converted
+     *                            again with another frame rate
      */
-    function saveSubtitle(channelId, language, content, format) {
+    function saveSubtitle(channelId, language, content, format, source) {
         var subtitle = {
             channelId: channelId,
             language: language,
@@ -227,7 +209,14 @@ var SubtitleManager = (function() {
             savedAt: new Date().toISOString()
         };
 
-        IPTVStorage.saveChannelSubtitle(channelId, language, subtitle);
+        if (source && SubtitleConverter.detectFormat(source) === 'microdvd') {
+            subtitle.source = source;
+            delete subtitle.content;
+        }
+
+        if (!IPTVStorage.saveChannelSubtitle(channelId, language, subtitle)) {
+            throw new Error('Could not save the subtitle, browser storage may be full');
+        }
         return subtitle;
     }
 
@@ -268,15 +257,13 @@ var SubtitleManager = (function() {
 
                     if (results.length > 0) {
                         // Download the first (most relevant) subtitle
-                        var content = await downloadSubtitle(results[0]);
-
-                        // Convert to VTT if needed
-                        if (results[0].format === 'srt') {
-                            content = convertSRTtoVTT(content);
-                        }
+                        var bytes = await downloadSubtitleFile(results[0]);
+                        var file = (await getSubtitleFiles(bytes, results[0], contentName))[0];
+                        var decoded = decodeSubtitle(file.bytes, results[0]);
+                        var content = convertToVTT(decoded.content, { fileName: file.name, format: results[0].format });
 
-                        // Save for offline use
-                        return saveSubtitle(channelId, lang, content, 'vtt');
+                        // Save as VTT for offline use
+                        return saveSubtitle(channelId, lang, content, 'vtt', decoded.content);
                     }
                 } catch (e) {
                     console.error('Error auto-loading subtitle:', e);
@@ -307,7 +294,11 @@ var SubtitleManager = (function() {
     return {
         searchSubtitles: searchSubtitles,
         downloadSubtitle: downloadSubtitle,
+        downloadSubtitleFile: downloadSubtitleFile,
+        getSubtitleFiles: getSubtitleFiles,
+        decodeSubtitle: decodeSubtitle,
         convertSRTtoVTT: convertSRTtoVTT,
+        convertToVTT: convertToVTT,
         saveSubtitle: saveSubtitle,
         getSavedSubtitle: getSavedSubtitle,
         autoLoadSubtitles: autoLoadSubtitles,
@@ -0,0 +1,681 @@
+/**
+ * Subtitle Providers
+ * Registry of subtitle services: config fields, search, download, rate limits and result normalization
+ */
+
+var SubtitleProviders = (function() {
+    'use strict';
+
+    // Subscene lists languages by name
+    var SUBSCENE_LANGUAGES = {
+        en: ['english'], ar: ['arabic'], es: ['spanish'], fr: ['french'], de: ['german'],
+        it: ['italian'], pt: ['portuguese', 'brazillian portuguese'], ru: ['russian'],
+        zh: ['chinese bg code', 'big 5 code'], ja: ['japanese'], ko: ['korean'], hi: ['hindi'],
+        tr: ['turkish'], fa: ['farsi/persian'], he: ['hebrew'], el: ['greek'], nl: ['dutch'],
+        pl: ['polish'], ro: ['romanian'], sv: ['swedish']
+    };
+
+    // Tokens are valid for 24 hours when the token does not say otherwise
+    var TOKEN_LIFETIME = 24 * 60 * 60 * 1000;
+    // Tokens are renewed this long before they expire
+    var TOKEN_MARGIN = 5 * 60 * 1000;
+    // Longest Retry-After wait before one more try
+    var MAX_RETRY_WAIT = 10 * 1000;
+
+    var providers = {};
+    var order = [];
+    // Earliest time of the next request, per provider
+    var nextRequest = {};
+
+    /**
+     * Add a provider
+     * @param {Object} provider - id, name, description, fields [{ id, label, type, placeholder,
+     *                            default, help, required }], rateLimit { interval (ms between requests) },
+     *                            search(server, params, language, http) returning raw items,
+     *                            normalize(item, server, language) returning a result,
+     *                            download(subtitle, http) returning the file bytes,
+     *                            getQuota(server) returning the download quota (optional)
+     */
+    function register(provider) {
+        if (!providers[provider.id]) {
+            order.push(provider.id);
+        }
+        providers[provider.id] = provider;
+    }
+
+    /**
+     * Get a provider by id (the serverType of a subtitle server)
+     */
+    function get(id) {
+        return providers[id] || null;
+    }
+
+    /**
+     * Get all providers in registration order
+     */
+    function list() {
+        return order.map(function(id) {
+            return providers[id];
+        });
+    }
+
+    /**
+     * Get the field defaults of a provider, for a new server
+     */
+    function getDefaults(id) {
+        var defaults = {};
+        var provider = get(id);
+        (provider ? provider.fields : []).forEach(function(field) {
+            defaults[field.id] = field.default || '';
+        });
+        return defaults;
+    }
+
+    /**
+     * Search subtitles on a server
+     * @param {Object} server - Subtitle server
+     * @param {string|Object} params - Search text, or search parameters (see getSearchParams)
+     * @param {string} language - Language code
+     * @returns {Promise<Array>} Results: { id, name, language, downloads, url, format, fileName,
+     *                           serverType, serverInfo } plus provider specific fields
+     */
+    async function search(server, params, language) {
+        var provider = getProvider(server.serverType);
+        var settings = withDefaults(server, provider);
+        var items = await provider.search(settings, getSearchParams(params), language, createHttp(provider));
+
+        return items.map(function(item) {
+            var result = provider.normalize(item, settings, language);
+            var fileName = result.fileName || '';
+
+            result.language = result.language || language;
+            result.fileName = fileName;
+            result.format = result.format || (/\.(\w+)$/.exec(fileName) || [])[1] || 'srt';
+            result.serverType = provider.id;
+            result.serverInfo = server;
+            return result;
+        });
+    }
+
+    /**
+     * Download the file of a search result
+     * @returns {Promise<Uint8Array>} File bytes, possibly a ZIP or gzip archive
+     */
+    async function download(subtitle) {
+        var provider = getProvider(subtitle.serverType);
+        return await provider.download(
+            Object.assign({}, subtitle, { serverInfo: withDefaults(subtitle.serverInfo || {}, provider) }),
+            createHttp(provider)
+        );
+    }
+
+    /**
+     * Get the download quota of a server, for providers that track one
+     * @returns {Object|null} { remaining, allowed, resetTime (ISO date) }
+     */
+    function getQuota(server) {
+        var provider = get(server.serverType);
+        return provider && provider.getQuota ? provider.getQuota(server) : null;
+    }
+
+    /**
+     * Normalize search parameters
+     * @param {string|Object} params - Search text, or { query, imdbId, tmdbId, season, episode, moviehash }
+     * @returns {Object} Parameters; a query like "tt0133093" becomes the imdbId
+     */
+    function getSearchParams(params) {
+        var result = Object.assign({}, params && typeof params === 'object' ? params : { query: params });
+
+        result.query = String(result.query || '').trim();
+        if (!result.imdbId && /^tt\d+$/i.test(result.query)) {
+            result.imdbId = result.query;
+            result.query = '';
+        }
+        return result;
+    }
+
+    function getProvider(id) {
+        var provider = get(id);
+        if (!provider) {
+            throw new Error('Unknown server type: ' + id);
+        }
+        return provider;
+    }
+
+    /**
+     * Fill empty fields of a server with the provider defaults
+     */
+    function withDefaults(server, provider) {
+        var filled = Object.assign({}, server);
+        provider.fields.forEach(function(field) {
+            if (!filled[field.id] && field.default) {
+                filled[field.id] = field.default;
+            }
+        });
+        return filled;
+    }
+
+    /**
+     * Create the HTTP helpers a provider uses; requests keep the provider's rate limit
+     */
+    function createHttp(provider) {
+        // Responses of any status, for providers that handle errors themselves
+        async function send(url, options) {
+            await waitTurn(provider);
+            return await fetch(url, options);
+        }
+
+        async function request(url, options) {
+            var response = await send(url, options);
+            if (!response.ok) {
+                throw new Error(provider.name + ' error: ' + response.status);
+            }
+            return response;
+        }
+
+        return {
+            send: send,
+            request: request,
+            json: async function(url, options) {
+                return await (await request(url, options)).json();
+            },
+            text: async function(url, options) {
+                return await (await request(url, options)).text();
+            },
+            document: async function(url, options, type) {
+                var text = await (await request(url, options)).text();
+                return new DOMParser().parseFromString(text, type || 'text/html');
+            },
+            bytes: async function(url, options) {
+                return new Uint8Array(await (await request(url, options)).arrayBuffer());
+            }
+        };
+    }
+
+    /**
+     * Wait until the provider may send its next request
+     */
+    function waitTurn(provider) {
+        var interval = provider.rateLimit ? provider.rateLimit.interval : 0;
+        var now = Date.now();
+        var start = Math.max(now, nextRequest[provider.id] || 0);
+
+        nextRequest[provider.id] = start + interval;
+        return start > now ? new Promise(function(resolve) { setTimeout(resolve, start - now); }) : Promise.resolve();
+    }
+
+    /**
+     * Resolve a link of a scraped page against the page URL
+     */
+    function absoluteUrl(href, base) {
+        return new URL(href, base).href;
+    }
+
+    /**
+     * Resolve a link of a scraped site; links from the site root stay below the Site URL,
+     * so mirrors behind a proxy path keep working
+     */
+    function siteUrl(href, base, server) {
+        if (/^\/(?!\/)/.test(href)) {
+            return trimSlash(server.apiUrl) + href;
+        }
+        return absoluteUrl(href, base);
+    }
+
+    function trimSlash(url) {
+        return String(url).replace(/\/+$/, '');
+    }
+
+    /**
+     * Get the cached OpenSubtitles session of a server: token, baseUrl, expires, quota
+     * A session of another user name is not used.
+     */
+    function getOpenSubtitlesSession(server) {
+        var session = IPTVStorage.getOpenSubtitlesSession(server.id);
+        return session && session.username === (server.username || '') ? session : { username: server.username || '' };
+    }
+
+    function saveOpenSubtitlesSession(server, changes) {
+        IPTVStorage.saveOpenSubtitlesSession(server.id, Object.assign(getOpenSubtitlesSession(server), changes));
+    }
+
+    /**
+     * Get the expiry time of a JWT from its exp claim
+     */
+    function getTokenExpiry(token) {
+        try {
+            var payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            var exp = JSON.parse(atob(payload)).exp;
+            if (exp) {
+                return exp * 1000;
+            }
+        } catch (e) {
+            // Not a JWT; use the documented lifetime
+        }
+        return Date.now() + TOKEN_LIFETIME;
+    }
+
+    /**
+     * Log in to OpenSubtitles, reusing the cached token until it expires
+     * @returns {Promise<Object|null>} Session, null for servers without user name
+     */
+    async function openSubtitlesLogin(server, http, renew) {
+        var session = getOpenSubtitlesSession(server);
+        if (!server.username) {
+            return null;
+        }
+        if (!renew && session.token && session.expires - TOKEN_MARGIN > Date.now()) {
+            return session;
+        }
+
+        var response = await openSubtitlesFetch(server, http, trimSlash(server.apiUrl) + '/login', {
+            method: 'POST',
+            body: JSON.stringify({ username: server.username, password: server.password || '' })
+        });
+        if (response.status === 401 || response.status === 400) {
+            throw new Error('OpenSubtitles login failed: check user name and password');
+        }
+        if (!response.ok) {
+            throw new Error('OpenSubtitles login error: ' + response.status);
+        }
+
+        var data = await response.json();
+        var user = data.user || {};
+        var changes = {
+            token: data.token,
+            expires: getTokenExpiry(data.token),
+            // VIP accounts are sent to their own API host
+            baseUrl: data.base_url && /\/\/api\.opensubtitles\.com\//.test(server.apiUrl + '/') ?
+                'https://' + data.base_url + '/api/v1' : ''
+        };
+        if (user.allowed_downloads !== undefined) {
+            changes.quota = {
+                remaining: user.remaining_downloads !== undefined ? user.remaining_downloads : user.allowed_downloads,
+                allowed: user.allowed_downloads,
+                resetTime: session.quota ? session.quota.resetTime : ''
+            };
+        }
+
+        saveOpenSubtitlesSession(server, changes);
+        return getOpenSubtitlesSession(server);
+    }
+
+    /**
+     * Send an OpenSubtitles request; a 429 (too many requests) is tried once more after Retry-After
+     */
+    async function openSubtitlesFetch(server, http, url, options, token) {
+        var headers = {
+            'Api-Key': server.apiKey,
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+        };
+        if (token) {
+            headers['Authorization'] = 'Bearer ' + token;
+        }
+
+        var init = Object.assign({}, options, { headers: headers });
+        var response = await http.send(url, init);
+
+        if (response.status === 429) {
+            var wait = Math.min((parseInt(response.headers.get('Retry-After'), 10) || 1) * 1000, MAX_RETRY_WAIT);
+            await new Promise(function(resolve) { setTimeout(resolve, wait); });
+
+            response = await http.send(url, init);
+            if (response.status === 429) {
+                throw new Error('OpenSubtitles is busy (too many requests), please try again in a minute');
+            }
+        }
+        return response;
+    }
+
+    /**
+     * Send an OpenSubtitles API request as the logged in user; an expired token is renewed once
+     */
+    async function openSubtitlesRequest(server, http, path, options) {
+        var session = await openSubtitlesLogin(server, http);
+        var base = session && session.baseUrl || trimSlash(server.apiUrl);
+        var response = await openSubtitlesFetch(server, http, base + path, options, session && session.token);
+
+        if (response.status === 401 && session) {
+            session = await openSubtitlesLogin(server, http, true);
+            response = await openSubtitlesFetch(server, http, (session.baseUrl || trimSlash(server.apiUrl)) + path,
+                                                options, session.token);
+        }
+        return response;
+    }
+
+    /**
+     * Keep the quota reported by a download response
+     */
+    function saveOpenSubtitlesQuota(server, data) {
+        var quota = getOpenSubtitlesSession(server).quota || {};
+        var remaining = data.remaining !== undefined ? Math.max(0, data.remaining) : quota.remaining;
+
+        saveOpenSubtitlesSession(server, {
+            quota: {
+                remaining: remaining,
+                // requests: downloads used in the current period
+                allowed: data.requests !== undefined && remaining !== undefined ? data.requests + remaining : quota.allowed,
+                resetTime: data.reset_time_utc || quota.resetTime || ''
+            }
+        });
+    }
+
+    register({
+        id: 'opensubtitles',
+        name: 'OpenSubtitles API',
+        description: 'Largest subtitle database (requires free API key)',
+        fields: [
+            { id: 'apiUrl', label: 'API URL', type: 'url', default: 'https://api.opensubtitles.com/api/v1',
+              help: 'Base URL for the subtitle API' },
+            { id: 'apiKey', label: 'API Key', type: 'text', placeholder: 'Your API key', required: true,
+              help: 'Profile → API → Generate API key on opensubtitles.com' },
+            { id: 'username', label: 'User Name', type: 'text', placeholder: 'Optional',
+              help: 'Logged in users get more downloads per day' },
+            { id: 'password', label: 'Password', type: 'password', placeholder: 'Optional' }
+        ],
+        // 5 requests per second
+        rateLimit: { interval: 200 },
+
+        search: async function(server, params, language, http) {
+            if (!server.apiKey) {
+                throw new Error('OpenSubtitles requires an API key');
+            }
+
+            // Parameters in alphabetical order and lower case, as the API asks, to avoid redirects
+            var query = { languages: language };
+            if (params.query) {
+                query.query = params.query.toLowerCase();
+            }
+            if (params.imdbId) {
+                query.imdb_id = String(params.imdbId).replace(/^tt0*/i, '');
+            }
+            if (params.tmdbId) {
+                query.tmdb_id = params.tmdbId;
+            }
+            if (params.season) {
+                query.season_number = params.season;
+            }
+            if (params.episode) {
+                query.episode_number = params.episode;
+            }
+            if (params.moviehash) {
+                query.moviehash = String(params.moviehash).toLowerCase();
+            }
+
+            var path = '/subtitles?' + Object.keys(query).sort().map(function(key) {
+                return key + '=' + encodeURIComponent(query[key]);
+            }).join('&');
+
+            var response = await openSubtitlesRequest(server, http, path, {});
+            if (!response.ok) {
+                throw new Error('OpenSubtitles API error: ' + response.status);
+            }
+
+            var data = await response.json();
+            var subs = (data.data || []).filter(function(sub) {
+                return sub.attributes && sub.attributes.files && sub.attributes.files.length > 0;
+            });
+
+            // Subtitles made for the exact video file first
+            return subs.filter(function(sub) {
+                return sub.attributes.moviehash_match;
+            }).concat(subs.filter(function(sub) {
+                return !sub.attributes.moviehash_match;
+            }));
+        },
+
+        normalize: function(sub) {
+            var file = sub.attributes.files[0];
+            return {
+                id: file.file_id,
+                name: sub.attributes.release || sub.attributes.feature_details.title,
+                language: sub.attributes.language,
+                downloads: sub.attributes.download_count,
+                url: file.file_id, // Will be used to download
+                fileName: file.file_name,
+                hashMatch: !!sub.attributes.moviehash_match
+            };
+        },
+
+        download: async function(subtitle, http) {
+            var server = subtitle.serverInfo;
+            var response = await openSubtitlesRequest(server, http, '/download', {
+                method: 'POST',
+                body: JSON.stringify({
+                    file_id: subtitle.url
+                })
+            });
+            var data = await response.json().catch(function() { return {}; });
+
+            // 406: the daily download quota is used up
+            if (response.status === 406) {
+                saveOpenSubtitlesQuota(server, Object.assign({}, data, { remaining: 0 }));
+                throw new Error('OpenSubtitles download limit reached' + (data.message ? ': ' + data.message :
+                    server.username ? '' : '; log in for more downloads per day'));
+            }
+            if (!response.ok) {
+                throw new Error('Download failed: ' + response.status + (data.message ? ' ' + data.message : ''));
+            }
+
+            saveOpenSubtitlesQuota(server, data);
+
+            // Get the download link
+            if (!data.link) {
+                throw new Error('No download link provided');
+            }
+            return await http.bytes(data.link);
+        },
+
+        getQuota: function(server) {
+            return getOpenSubtitlesSession(server).quota || null;
+        }
+    });
+
+    register({
+        id: 'subscene',
+        name: 'Subscene',
+        description: 'Subtitle website read page by page; subscene.com has closed, so it needs a mirror',
+        fields: [
+            { id: 'apiUrl', label: 'Site URL', type: 'url', placeholder: 'http://192.168.1.10:8005/https://subscene-mirror.example',
+              required: true,
+              help: 'A Subscene mirror with the same pages. Browsers only read it when it sends CORS headers; ' +
+                    'otherwise put a CORS proxy in front (e.g. tools/cors-proxy.py) and enter the proxy URL followed by the site URL' }
+        ],
+        // Pages are scraped, so requests are spaced out
+        rateLimit: { interval: 1000 },
+
+        search: async function(server, params, language, http) {
+            if (!params.query) {
+                return [];
+            }
+
+            var base = trimSlash(server.apiUrl);
+            var page = await http.document(base + '/subtitles/searchbytitle', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: 'query=' + encodeURIComponent(params.query)
+            });
+
+            // The first title is the best match
+            var title = page.querySelector('.search-result .title a');
+            if (!title) {
+                return [];
+            }
+
+            var titleUrl = siteUrl(title.getAttribute('href'), base + '/', server);
+            var names = SUBSCENE_LANGUAGES[language] || [];
+            var rows = (await http.document(titleUrl)).querySelectorAll('td.a1 a');
+
+            return Array.prototype.map.call(rows, function(link) {
+                var spans = link.querySelectorAll('span');
+                return {
+                    url: siteUrl(link.getAttribute('href'), titleUrl, server),
+                    language: spans[0] ? spans[0].textContent.trim() : '',
+                    release: spans[1] ? spans[1].textContent.trim() : '',
+                    title: title.textContent.trim()
+                };
+            }).filter(function(item) {
+                return names.indexOf(item.language.toLowerCase()) !== -1;
+            });
+        },
+
+        normalize: function(item, server, language) {
+            return {
+                id: item.url,
+                name: item.release || item.title,
+                language: language,
+                url: item.url
+            };
+        },
+
+        // The subtitle page links the ZIP file
+        download: async function(subtitle, http) {
+            var page = await http.document(subtitle.url);
+            var link = page.querySelector('#downloadButton, .download a');
+            if (!link) {
+                throw new Error('No download link provided');
+            }
+            return await http.bytes(siteUrl(link.getAttribute('href'), subtitle.url, subtitle.serverInfo));
+        }
+    });
+
+    register({
+        id: 'podnapisi',
+        name: 'Podnapisi',
+        description: 'Free subtitle database, no account needed',
+        fields: [
+            { id: 'apiUrl', label: 'Site URL', type: 'url', default: 'https://www.podnapisi.net',
+              help: 'podnapisi.net sends no CORS headers, so browsers block it: run a CORS proxy (e.g. tools/cors-proxy.py) ' +
+                    'and enter the proxy URL followed by the site URL, e.g. http://192.168.1.10:8005/https://www.podnapisi.net' }
+        ],
+        rateLimit: { interval: 500 },
+
+        search: async function(server, params, language, http) {
+            if (!params.query) {
+                return [];
+            }
+
+            var xml = await http.document(trimSlash(server.apiUrl) + '/subtitles/search/old?sXML=1&sK=' +
+                                          encodeURIComponent(params.query) + '&sL=' + language +
+                                          (params.season ? '&sTS=' + params.season : '') +
+                                          (params.episode ? '&sTE=' + params.episode : ''), null, 'text/xml');
+
+            return Array.prototype.map.call(xml.getElementsByTagName('subtitle'), function(node) {
+                function value(tag) {
+                    var element = node.getElementsByTagName(tag)[0];
+                    return element ? element.textContent.trim() : '';
+                }
+
+                return {
+                    pid: value('pid'),
+                    title: value('title'),
+                    release: value('release'),
+                    language: value('language'),
+                    downloads: parseInt(value('downloads'), 10) || 0
+                };
+            }).filter(function(item) {
+                return item.pid;
+            });
+        },
+
+        normalize: function(item, server) {
+            return {
+                id: item.pid,
+                name: item.release || item.title,
+                language: item.language,
+                downloads: item.downloads,
+                url: trimSlash(server.apiUrl) + '/subtitles/' + item.pid + '/download?container=zip'
+            };
+        },
+
+        download: async function(subtitle, http) {
+            return await http.bytes(subtitle.url);
+        }
+    });
+
+    register({
+        id: 'custom',
+        name: 'Custom API',
+        description: 'Your own subtitle server',
+        fields: [
+            { id: 'apiUrl', label: 'API URL', type: 'url', placeholder: 'https://example.com/subtitles', required: true,
+              help: 'Called with ?query=...&lang=... (and imdb_id, tmdb_id, season, episode, moviehash when given), ' +
+                    'answers with [{ name, url, language, format, fileName }]' },
+            { id: 'apiKey', label: 'API Key', type: 'text', placeholder: 'Optional',
+              help: 'Sent as a Bearer token' }
+        ],
+
+        search: async function(server, params, language, http) {
+            var headers = {};
+            if (server.apiKey) {
+                headers['Authorization'] = 'Bearer ' + server.apiKey;
+            }
+
+            var url = server.apiUrl + '?query=' + encodeURIComponent(params.query) + '&lang=' + language;
+            [['imdb_id', params.imdbId], ['tmdb_id', params.tmdbId], ['season', params.season],
+             ['episode', params.episode], ['moviehash', params.moviehash]].forEach(function(param) {
+                if (param[1]) {
+                    url += '&' + param[0] + '=' + encodeURIComponent(param[1]);
+                }
+            });
+
+            var data = await http.json(url, { headers: headers });
+            return Array.isArray(data) ? data : [];
+        },
+
+        normalize: function(sub) {
+            return {
+                id: sub.id || sub.url,
+                name: sub.name,
+                language: sub.language,
+                url: sub.url,
+                format: sub.format,
+                fileName: sub.fileName
+            };
+        },
+
+        download: async function(subtitle, http) {
+            return await http.bytes(subtitle.url);
+        }
+    });
+
+    register({
+        id: 'local',
+        name: 'Local Subtitle Files',
+        description: 'Subtitles saved from earlier searches',
+        fields: [],
+
+        search: async function(server, params, language) {
+            return IPTVStorage.getLocalSubtitles().filter(function(sub) {
+                return sub.language === language;
+            });
+        },
+
+        normalize: function(sub) {
+            return Object.assign({}, sub, {
+                fileName: sub.fileName || (sub.content ? sub.name + '.' + (sub.format || 'vtt') : '')
+            });
+        },
+
+        // Saved subtitles hold their text
+        download: async function(subtitle, http) {
+            if (typeof subtitle.content === 'string') {
+                return new TextEncoder().encode(subtitle.content);
+            }
+            return await http.bytes(subtitle.url);
+        }
+    });
+
+    // Public API
+    return {
+        register: register,
+        get: get,
+        list: list,
+        getDefaults: getDefaults,
+        getSearchParams: getSearchParams,
+        search: search,
+        download: download,
+        getQuota: getQuota
+    };
+})();
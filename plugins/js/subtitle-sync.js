@@ -0,0 +1,142 @@
+/**
+ * Subtitle Sync
+ * Shifts and stretches the timing of saved channel subtitles. Only the downloaded subtitle
+ * and the sync settings are saved; the adjusted WebVTT is built when it is played.
+ */
+
+var SubtitleSync = (function() {
+    'use strict';
+
+    // Frame rates offered for MicroDVD files and frame rate conversion
+    var FRAME_RATES = [23.976, 24, 25, 29.97, 30];
+
+    /**
+     * Get the timing change of sync settings: new time = time * scale + shift
+     * Two sync points set scale and shift; otherwise a frame rate conversion sets the scale.
+     * The offset is added on top.
+     * @param {Object} sync - offset (ms), fps { from, to } (subtitle and video frame rate),
+     *                        points [{ from, to }, { from, to }] (cue time and the time it should have, ms)
+     * @returns {Object} { scale, shift }
+     */
+    function getTransform(sync) {
+        var scale = 1;
+        var shift = 0;
+        var points = sync.points;
+
+        if (points && points.length === 2 && points[0].from !== points[1].from) {
+            scale = (points[1].to - points[0].to) / (points[1].from - points[0].from);
+            shift = points[0].to - points[0].from * scale;
+        } else if (sync.fps && sync.fps.from && sync.fps.to) {
+            // A 23.976 fps subtitle on 25 fps video: the video runs faster, so cues come earlier
+            scale = sync.fps.from / sync.fps.to;
+        }
+
+        return { scale: scale, shift: shift + (sync.offset || 0) };
+    }
+
+    /**
+     * Apply sync settings to cues; cues that end up before the start are dropped
+     * @returns {Array} New cues
+     */
+    function adjustCues(cues, sync) {
+        var transform = getTransform(sync);
+
+        return cues.map(function(cue) {
+            return Object.assign({}, cue, {
+                start: Math.max(0, cue.start * transform.scale + transform.shift),
+                end: cue.end * transform.scale + transform.shift
+            });
+        }).filter(function(cue) {
+            return cue.end > cue.start;
+        });
+    }
+
+    /**
+     * Get a saved subtitle as WebVTT before any timing change
+     * @param {Object} subtitle - Saved channel subtitle
+     * @param {number} [fps] - Frame rate for a MicroDVD source (default: from the file, or 23.976)
+     */
+    function getOriginal(subtitle, fps) {
+        if (subtitle.source) {
+            return SubtitleConverter.convert(subtitle.source, { fps: fps || null });
+        }
+
+        // Older versions saved SRT, ASS and other formats as they were downloaded
+        var content = subtitle.content || '';
+        if (!/^\uFEFF?WEBVTT/.test(content)) {
+            return SubtitleConverter.convert(content, { hint: subtitle.format });
+        }
+        return content;
+    }
+
+    /**
+     * Get the cues of a saved subtitle before any timing change
+     */
+    function getCues(subtitle, fps) {
+        return SubtitleConverter.parse(getOriginal(subtitle, fps), 'vtt');
+    }
+
+    /**
+     * Get a saved subtitle as WebVTT with its timing changes
+     * @param {Object} subtitle - Saved channel subtitle
+     * @returns {string} WebVTT content
+     */
+    function getContent(subtitle) {
+        var sync = subtitle.sync;
+        var original = getOriginal(subtitle, sync && sync.sourceFps);
+        if (!sync) {
+            return original;
+        }
+        return SubtitleConverter.toVTT(adjustCues(SubtitleConverter.parse(original, 'vtt'), sync));
+    }
+
+    /**
+     * Save timing changes of a channel subtitle
+     * Only the settings are saved, so changes always start from the downloaded timing.
+     * @param {Object} sync - offset, fps, points (see getTransform), sourceFps (MicroDVD frame rate)
+     * @returns {Object|null} Saved subtitle, null if there is none
+     */
+    function save(channelId, language, sync) {
+        var subtitle = IPTVStorage.getChannelSubtitle(channelId, language);
+        if (!subtitle) {
+            return null;
+        }
+
+        subtitle.sync = sync;
+        store(channelId, language, subtitle);
+        return subtitle;
+    }
+
+    /**
+     * Undo all timing changes of a channel subtitle
+     * @returns {Object|null} Saved subtitle, null if there is none
+     */
+    function reset(channelId, language) {
+        var subtitle = IPTVStorage.getChannelSubtitle(channelId, language);
+        if (!subtitle) {
+            return null;
+        }
+
+        delete subtitle.sync;
+        store(channelId, language, subtitle);
+        return subtitle;
+    }
+
+    function store(channelId, language, subtitle) {
+        if (!IPTVStorage.saveChannelSubtitle(channelId, language, subtitle)) {
+            throw new Error('Could not save the subtitle, browser storage may be full');
+        }
+    }
+
+    // Public API
+    return {
+        FRAME_RATES: FRAME_RATES,
+        getTransform: getTransform,
+        adjustCues: adjustCues,
+        getOriginal: getOriginal,
+        getCues: getCues,
+        getContent: getContent,
+        save: save,
+        reset: reset
+    };
+})();
@@ -0,0 +1,92 @@
+"""
+CORS proxy for subtitle sites that do not allow browser requests.
+
+    python tools/cors-proxy.py --site https://www.podnapisi.net [--host 0.0.0.0] [port]
+
+Subtitle sites such as podnapisi.net send no CORS headers, so the browser
+refuses to hand their pages to the app. This proxy fetches the URL given as its
+path and answers with CORS headers. Enter the proxy URL followed by the site URL
+as the server's "Site URL":
+
+    http://192.168.1.10:8005/https://www.podnapisi.net
+
+Only the --site hosts (repeat it for several sites) are fetched, and it listens
+on 127.0.0.1 unless --host says otherwise (0.0.0.0 to reach it from the TV), so
+it is not an open proxy.
+"""
+
+import argparse
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+from urllib.error import HTTPError, URLError
+from urllib.parse import urlparse
+from urllib.request import Request, urlopen
+
+TIMEOUT = 30
+
+# Request headers passed on to the site
+FORWARDED = ['Accept', 'Content-Type']
+
+
+# host:port of the sites requests may go to, set from --site
+sites = set()
+
+
+def site_address(url):
+    """host:port of a URL; a bare host name counts as https://host"""
+    parsed = urlparse(url if '://' in url else 'https://' + url)
+    port = parsed.port or (443 if parsed.scheme == 'https' else 80)
+    return '%s:%d' % ((parsed.hostname or '').lower(), port)
+
+
+class Handler(BaseHTTPRequestHandler):
+    def do_OPTIONS(self):
+        self.send(204, 'text/plain', b'')
+
+    def do_GET(self):
+        self.forward(None)
+
+    def do_POST(self):
+        length = int(self.headers.get('Content-Length') or 0)
+        self.forward(self.rfile.read(length))
+
+    def forward(self, body):
+        target = self.path[1:]
+        if not target.startswith(('http://', 'https://')):
+            self.send(400, 'text/plain', b'Use /<site URL>, e.g. /https://www.podnapisi.net')
+            return
+        if site_address(target) not in sites:
+            self.send(403, 'text/plain', b'Not a configured site, start the proxy with --site for it')
+            return
+
+        headers = {name: self.headers.get(name) for name in FORWARDED if self.headers.get(name)}
+        headers['User-Agent'] = 'Mozilla/5.0'
+
+        try:
+            with urlopen(Request(target, data=body, headers=headers, method=self.command), timeout=TIMEOUT) as response:
+                self.send(response.status, response.headers.get('Content-Type', 'text/plain'), response.read())
+        except HTTPError as error:
+            self.send(error.code, error.headers.get('Content-Type', 'text/plain'), error.read())
+        except (URLError, OSError) as error:
+            self.send(502, 'text/plain', ('Site unreachable: %s' % error).encode('utf-8'))
+
+    def send(self, status, content_type, body):
+        self.send_response(status)
+        self.send_header('Content-Type', content_type)
+        self.send_header('Content-Length', str(len(body)))
+        self.send_header('Access-Control-Allow-Origin', '*')
+        self.send_header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
+        self.send_header('Access-Control-Allow-Headers', ', '.join(FORWARDED))
+        self.end_headers()
+        self.wfile.write(body)
+
+
+if __name__ == '__main__':
+    parser = argparse.ArgumentParser(description='CORS proxy for subtitle sites')
+    parser.add_argument('port', type=int, nargs='?', default=8005)
+    parser.add_argument('--site', action='append', required=True, help='site URL or host fetched')
+    parser.add_argument('--host', default='127.0.0.1', help='address to listen on (0.0.0.0 for the LAN)')
+    args = parser.parse_args()
+
+    sites.update(site_address(site) for site in args.site)
+    print('CORS proxy on http://%s:%d for %s' % (args.host, args.port, ', '.join(sorted(sites))))
+    ThreadingHTTPServer((args.host, args.port), Handler).serve_forever()
@@ -0,0 +1,94 @@
+"""
+Relay for Stalker / Ministra portals.
+
+    python tools/stalker-proxy.py --portal http://portal.example.com:8080 [--host 0.0.0.0] [port]
+
+Portals only answer requests that carry the box's MAC in a "mac" cookie and a
+MAG User-Agent. Browsers drop both headers from fetch(), so the app sends them
+as X-Forward-Cookie and X-Forward-User-Agent to this relay, which restores them
+and adds the CORS headers the browser needs for the answer.
+
+Only requests to the --portal hosts (repeat it for several portals) are
+relayed, and it listens on 127.0.0.1 unless --host says otherwise, so it is not
+an open proxy. To use it from the TV, run it with --host 0.0.0.0 on a machine
+the TV can reach and enter its address as the portal's "Proxy URL", e.g.
+http://192.168.1.10:8004/ . Requests look like
+
+    GET http://192.168.1.10:8004/?url=<encoded portal load.php URL>
+"""
+
+import argparse
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+from urllib.error import HTTPError, URLError
+from urllib.parse import parse_qs, urlparse
+from urllib.request import Request, urlopen
+
+TIMEOUT = 30
+
+# Browser header -> header sent to the portal
+FORWARDED = {
+    'X-Forward-Cookie': 'Cookie',
+    'X-Forward-User-Agent': 'User-Agent',
+    'X-User-Agent': 'X-User-Agent',
+    'Authorization': 'Authorization',
+}
+
+
+# host:port of the portals requests may go to, set from --portal
+portals = set()
+
+
+def portal_address(url):
+    """host:port of a URL; a bare host name counts as http://host"""
+    parsed = urlparse(url if '://' in url else 'http://' + url)
+    port = parsed.port or (443 if parsed.scheme == 'https' else 80)
+    return '%s:%d' % ((parsed.hostname or '').lower(), port)
+
+
+class Handler(BaseHTTPRequestHandler):
+    def do_OPTIONS(self):
+        self.send(204, 'text/plain', b'')
+
+    def do_GET(self):
+        target = parse_qs(urlparse(self.path).query).get('url', [''])[0]
+        if not target.startswith(('http://', 'https://')):
+            self.send(400, 'text/plain', b'Missing or invalid url parameter')
+            return
+        if portal_address(target) not in portals:
+            self.send(403, 'text/plain', b'Not a configured portal, start the relay with --portal for it')
+            return
+
+        headers = {}
+        for name, portal_name in FORWARDED.items():
+            if self.headers.get(name):
+                headers[portal_name] = self.headers.get(name)
+
+        try:
+            with urlopen(Request(target, headers=headers), timeout=TIMEOUT) as response:
+                self.send(response.status, response.headers.get('Content-Type', 'text/plain'), response.read())
+        except HTTPError as error:
+            self.send(error.code, error.headers.get('Content-Type', 'text/plain'), error.read())
+        except (URLError, OSError) as error:
+            self.send(502, 'text/plain', ('Portal unreachable: %s' % error).encode('utf-8'))
+
+    def send(self, status, content_type, body):
+        self.send_response(status)
+        self.send_header('Content-Type', content_type)
+        self.send_header('Content-Length', str(len(body)))
+        self.send_header('Access-Control-Allow-Origin', '*')
+        self.send_header('Access-Control-Allow-Methods', 'GET, OPTIONS')
+        self.send_header('Access-Control-Allow-Headers', ', '.join(FORWARDED))
+        self.end_headers()
+        self.wfile.write(body)
+
+
+if __name__ == '__main__':
+    parser = argparse.ArgumentParser(description='Relay for Stalker / Ministra portals')
+    parser.add_argument('port', type=int, nargs='?', default=8004)
+    parser.add_argument('--portal', action='append', required=True, help='portal URL or host relayed to')
+    parser.add_argument('--host', default='127.0.0.1', help='address to listen on (0.0.0.0 for the LAN)')
+    args = parser.parse_args()
+
+    portals.update(portal_address(portal) for portal in args.portal)
+    print('Stalker portal relay on http://%s:%d for %s' % (args.host, args.port, ', '.join(sorted(portals))))
+    ThreadingHTTPServer((args.host, args.port), Handler).serve_forever()
@@ -0,0 +1,72 @@
+"""
+Stub stream server for trying the stream health checker without real providers.
+
+    python tools/stub-stream-server.py [port]
+
+Add http://localhost:8002/playlist.m3u as an M3U playlist, then run
+"Playlists" -> "Stream Health". Every channel name says what the check should find.
+"""
+
+import sys
+import time
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+
+TS_PACKET = bytes([0x47, 0x40, 0x00, 0x10]) + bytes(184)
+
+# path: (status, content type, body, delay in seconds)
+STREAMS = {
+    '/hls.m3u8': (200, 'application/vnd.apple.mpegurl', b'#EXTM3U\n#EXT-X-VERSION:3\n', 0),
+    '/live.ts': (200, 'video/mp2t', TS_PACKET * 20, 0),
+    '/movie.mp4': (200, 'video/mp4', b'\x00\x00\x00\x18ftypmp42', 0),
+    '/login.m3u8': (200, 'application/vnd.apple.mpegurl', b'<html>Please log in</html>', 0),
+    '/broken.ts': (200, 'video/mp2t', b'not a transport stream' * 20, 0),
+    '/portal.html': (200, 'text/html', b'<html>Subscription expired</html>', 0),
+    '/missing.ts': (404, 'text/plain', b'Not found', 0),
+    '/slow.ts': (200, 'video/mp2t', TS_PACKET * 20, 15),
+}
+
+NAMES = {
+    '/hls.m3u8': 'Online HLS',
+    '/live.ts': 'Online MPEG-TS',
+    '/movie.mp4': 'Online MP4',
+    '/login.m3u8': 'Offline - invalid HLS manifest',
+    '/broken.ts': 'Offline - no sync byte',
+    '/portal.html': 'Offline - HTML page',
+    '/missing.ts': 'Offline - HTTP 404',
+    '/slow.ts': 'Offline - timeout',
+}
+
+
+class Handler(BaseHTTPRequestHandler):
+    def do_GET(self):
+        path = self.path.split('?')[0]
+
+        if path == '/playlist.m3u':
+            base = 'http://' + self.headers.get('Host', 'localhost')
+            lines = ['#EXTM3U']
+            for stream, name in NAMES.items():
+                lines.append('#EXTINF:-1 group-title="Health Check",' + name)
+                lines.append(base + stream)
+            self.send(200, 'audio/x-mpegurl', ('\n'.join(lines) + '\n').encode())
+            return
+
+        status, content_type, body, delay = STREAMS.get(path, (404, 'text/plain', b'Not found', 0))
+        time.sleep(delay)
+        self.send(status, content_type, body)
+
+    def send(self, status, content_type, body):
+        self.send_response(status)
+        self.send_header('Content-Type', content_type)
+        self.send_header('Content-Length', str(len(body)))
+        self.send_header('Access-Control-Allow-Origin', '*')
+        self.end_headers()
+        try:
+            self.wfile.write(body)
+        except (BrokenPipeError, ConnectionResetError):
+            pass  # the checker stops reading after the first bytes
+
+
+if __name__ == '__main__':
+    port = int(sys.argv[1]) if len(sys.argv) > 1 else 8002
+    print('Stub streams on http://localhost:%d/playlist.m3u' % port)
+    ThreadingHTTPServer(('', port), Handler).serve_forever()
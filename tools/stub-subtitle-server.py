@@ -0,0 +1,226 @@
+"""
+Stub subtitle server for trying the subtitle providers without real services.
+
+    python tools/stub-subtitle-server.py [port]
+
+Add subtitle servers with these URLs (any API key), then search "Stub Movie"
+in English or Arabic under "Subtitles" -> "Search Subtitles":
+
+    OpenSubtitles API    http://localhost:8003/opensubtitles
+    Subscene             http://localhost:8003/subscene
+    Podnapisi            http://localhost:8003/podnapisi
+    Custom API           http://localhost:8003/custom
+
+Every provider answers with the canned pages below, the way the real service does;
+Subscene links point to the site root, as they would on a mirror behind a proxy path.
+OpenSubtitles also plays out its limits: log in with any user name (password
+"wrong" fails), after DOWNLOAD_QUOTA downloads per user it answers 406, and
+searching "busy" answers 429 once.
+"""
+
+import base64
+import io
+import json
+import sys
+import time
+import zipfile
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+from urllib.parse import parse_qs, urlparse
+
+DOWNLOAD_QUOTA = 3
+# Downloads used, by user name ('' without login)
+downloads = {}
+busy = {'answered': False}
+
+SRT = {
+    'en': '1\n00:00:01,000 --> 00:00:04,000\nHello from the {provider} stub\n\n'
+          '2\n00:00:05,000 --> 00:00:08,000\n<i>Second line</i>\n',
+    'ar': '1\n00:00:01,000 --> 00:00:04,000\nمرحبا {provider}\n',
+}
+
+
+def subtitle(language, provider):
+    return SRT.get(language, SRT['en']).replace('{provider}', provider)
+
+
+def zip_of(files):
+    buffer = io.BytesIO()
+    with zipfile.ZipFile(buffer, 'w', zipfile.ZIP_DEFLATED) as archive:
+        for name, text in files:
+            archive.writestr(name, text.encode('utf-8'))
+    return buffer.getvalue()
+
+
+def token_user(authorization):
+    """User name in a stub token ("Bearer stub.<payload>.signature"), '' without one"""
+    try:
+        payload = authorization.split('.')[1]
+        return json.loads(base64.urlsafe_b64decode(payload + '=' * (-len(payload) % 4))).get('sub', '')
+    except (AttributeError, IndexError, ValueError):
+        return ''
+
+
+def token(username):
+    payload = json.dumps({'sub': username, 'exp': int(time.time()) + 24 * 3600}).encode()
+    return 'stub.' + base64.urlsafe_b64encode(payload).decode().rstrip('=') + '.signature'
+
+
+def opensubtitles_login(base, body, user):
+    login = json.loads(body or '{}')
+    if login.get('password') == 'wrong':
+        return 401, 'application/json', json.dumps({'message': 'Error, invalid username/password', 'status': 401})
+    return 200, 'application/json', json.dumps({
+        'user': {'allowed_downloads': DOWNLOAD_QUOTA, 'level': 'Sub leecher', 'user_id': 1, 'vip': False},
+        'base_url': 'api.opensubtitles.com',
+        'token': token(login.get('username', '')),
+        'status': 200,
+    })
+
+
+def opensubtitles_search(base, query, user):
+    language = query.get('languages', ['en'])[0]
+    if query.get('query', [''])[0] == 'busy' and not busy['answered']:
+        busy['answered'] = True
+        return 429, 'application/json', json.dumps({'message': 'Throttle limit reached. Retry later.'})
+    return 200, 'application/json', json.dumps({
+        'total_count': 1,
+        'data': [{
+            'id': '1', 'type': 'subtitle',
+            'attributes': {
+                'language': language,
+                'download_count': 1234,
+                'release': 'Stub.Movie.2024.1080p.WEB',
+                'feature_details': {'title': 'Stub Movie'},
+                'files': [{'file_id': 100 if language == 'en' else 200,
+                           'file_name': 'Stub.Movie.2024.1080p.WEB.' + language + '.srt'}],
+            },
+        }],
+    })
+
+
+def opensubtitles_download(base, body, user):
+    reset = time.strftime('%Y-%m-%dT%H:%M:%S.000Z', time.gmtime(time.time() + 6 * 3600))
+    used = downloads.get(user, 0)
+    if used >= DOWNLOAD_QUOTA:
+        return 406, 'application/json', json.dumps({
+            'requests': used, 'remaining': -1, 'reset_time_utc': reset,
+            'message': 'You have downloaded your allowed %d subtitles for 24h.' % DOWNLOAD_QUOTA,
+        })
+
+    used = downloads[user] = used + 1
+    language = 'en' if json.loads(body or '{}').get('file_id') == 100 else 'ar'
+    return 200, 'application/json', json.dumps({
+        'link': base + '/files/opensubtitles.' + language + '.srt',
+        'file_name': 'Stub.Movie.' + language + '.srt',
+        'requests': used,
+        'remaining': DOWNLOAD_QUOTA - used,
+        'reset_time_utc': reset,
+    })
+
+
+def subscene_search(base, body, user):
+    return 200, 'text/html', '''<html><body><div class="search-result">
+        <h2 class="exact">Exact</h2>
+        <ul><li><div class="title"><a href="/subtitles/stub-movie">Stub Movie (2024)</a></div></li></ul>
+        </div></body></html>'''
+
+
+def subscene_title(base, query, user):
+    rows = ''.join('''<tr><td class="a1"><a href="/subtitles/stub-movie/%s/%d">
+        <span class="l r positive-icon">%s</span><span>Stub.Movie.2024.%s</span></a></td>
+        <td class="a3"></td><td class="a5"><a href="/u/1">uploader</a></td></tr>''' % (slug, n, name, release)
+        for slug, n, name, release in [('english', 1, 'English', 'BluRay'), ('english', 2, 'English', 'WEB-DL'),
+                                       ('arabic', 3, 'Arabic', 'WEB-DL')])
+    return 200, 'text/html', '<html><body><table><tbody>' + rows + '</tbody></table></body></html>'
+
+
+def subscene_subtitle(base, slug):
+    return 'text/html', '''<html><body><div class="download">
+        <a href="/subtitles/%s-text/stub" id="downloadButton">Download Subtitle</a>
+        </div></body></html>''' % slug
+
+
+def podnapisi_search(base, query, user):
+    language = query.get('sL', ['en'])[0]
+    return 200, 'text/xml', '''<?xml version="1.0" encoding="utf-8"?>
+<results><pagination><current>1</current><count>1</count><results>1</results></pagination>
+<subtitle><pid>stub%s</pid><title>Stub Movie</title><year>2024</year><language>%s</language>
+<release>Stub.Movie.2024.720p.HDTV</release><downloads>567</downloads></subtitle></results>''' % (language, language)
+
+
+def custom_search(base, query, user):
+    language = query.get('lang', ['en'])[0]
+    return 200, 'application/json', json.dumps([{
+        'name': 'Stub Movie (custom)', 'language': language, 'format': 'srt',
+        'fileName': 'stub.' + language + '.srt', 'url': base + '/files/custom.' + language + '.srt',
+    }])
+
+
+# (method, path): handler(base, query or body, user) -> (status, content type, body)
+ROUTES = {
+    ('POST', '/opensubtitles/login'): opensubtitles_login,
+    ('GET', '/opensubtitles/subtitles'): opensubtitles_search,
+    ('POST', '/opensubtitles/download'): opensubtitles_download,
+    ('POST', '/subscene/subtitles/searchbytitle'): subscene_search,
+    ('GET', '/subscene/subtitles/stub-movie'): subscene_title,
+    ('GET', '/podnapisi/subtitles/search/old'): podnapisi_search,
+    ('GET', '/custom'): custom_search,
+}
+
+
+class Handler(BaseHTTPRequestHandler):
+    def do_OPTIONS(self):
+        self.send(204, 'text/plain', b'')
+
+    def do_POST(self):
+        length = int(self.headers.get('Content-Length') or 0)
+        self.route('POST', self.rfile.read(length).decode('utf-8'))
+
+    def do_GET(self):
+        self.route('GET', None)
+
+    def route(self, method, body):
+        url = urlparse(self.path)
+        base = 'http://' + self.headers.get('Host', 'localhost')
+        path = url.path
+
+        if (method, path) in ROUTES:
+            data = body if method == 'POST' else parse_qs(url.query)
+            status, content_type, text = ROUTES[(method, path)](base, data, token_user(self.headers.get('Authorization')))
+            self.send(status, content_type + '; charset=utf-8', text.encode('utf-8'))
+        elif path.startswith('/subscene/subtitles/stub-movie/'):
+            content_type, text = subscene_subtitle(base, path.split('/')[4])
+            self.send(200, content_type, text.encode('utf-8'))
+        elif path in ('/subscene/subtitles/english-text/stub', '/subscene/subtitles/arabic-text/stub'):
+            language = 'en' if 'english' in path else 'ar'
+            self.send(200, 'application/zip', zip_of([('Stub.Movie.2024.' + language + '.srt', subtitle(language, 'Subscene'))]))
+        elif path.startswith('/podnapisi/subtitles/stub') and path.endswith('/download'):
+            language = path.split('/')[3][len('stub'):]
+            self.send(200, 'application/zip', zip_of([
+                ('Stub.Movie.2024.720p.HDTV.' + language + '.srt', subtitle(language, 'Podnapisi')),
+                ('readme.nfo', 'Downloaded from the stub server'),
+            ]))
+        elif path.startswith('/files/') and path.endswith('.srt'):
+            provider, language = path[len('/files/'):-len('.srt')].split('.')
+            self.send(200, 'application/x-subrip', subtitle(language, provider).encode('utf-8'))
+        else:
+            self.send(404, 'text/plain', b'Not found')
+
+    def send(self, status, content_type, body):
+        self.send_response(status)
+        self.send_header('Content-Type', content_type)
+        self.send_header('Content-Length', str(len(body)))
+        self.send_header('Access-Control-Allow-Origin', '*')
+        self.send_header('Access-Control-Expose-Headers', 'Retry-After')
+        if status == 429:
+            self.send_header('Retry-After', '1')
+        self.send_header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
+        self.send_header('Access-Control-Allow-Headers', 'Accept, Api-Key, Authorization, Content-Type')
+        self.end_headers()
+        self.wfile.write(body)
+
+
+if __name__ == '__main__':
+    port = int(sys.argv[1]) if len(sys.argv) > 1 else 8003
+    print('Stub subtitle services on http://localhost:%d' % port)
+    ThreadingHTTPServer(('', port), Handler).serve_forever()